@@ -0,0 +1,53 @@
+/**
+ * GraphQL Response Recorder
+ *
+ * Records GraphQL responses to numbered JSON files and replays them in order,
+ * so the GraphQL backend can be exercised without a network or a token.
+ */
+
+import { readdirSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Wraps a GraphQL client to save every response
+ * @param {Function} graphql - GraphQL client, called as graphql(query, variables)
+ * @param {string} dir - Directory to write the recordings to
+ * @returns {Function} Recording GraphQL client
+ */
+export function recordGraphql(graphql, dir) {
+  mkdirSync(dir, { recursive: true });
+  let count = 0;
+
+  return async (query, variables) => {
+    const data = await graphql(query, variables);
+    const file = join(dir, `${String(++count).padStart(4, '0')}.json`);
+    writeFileSync(file, JSON.stringify({ query, variables, data }, null, 2));
+    return data;
+  };
+}
+
+/**
+ * Creates a GraphQL client answering from recorded responses
+ * Responses are returned in the order they were recorded.
+ * @param {string} dir - Directory holding the recordings
+ * @returns {Function} Replaying GraphQL client
+ */
+export function replayGraphql(dir) {
+  const files = readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+  let index = 0;
+
+  return async (query) => {
+    if (index >= files.length) {
+      throw new Error(`No recorded response left in ${dir}`);
+    }
+
+    const file = files[index++];
+    const recording = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+
+    if (recording.query !== query) {
+      console.warn(`Recorded query in ${file} differs from the one being replayed`);
+    }
+
+    return recording.data;
+  };
+}
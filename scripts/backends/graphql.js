@@ -0,0 +1,663 @@
+/**
+ * GraphqlBackend Class
+ *
+ * Fetches repository activity with the GitHub GraphQL API.
+ * Commit histories are queried for several branches per request and
+ * pull requests/issues are searched once per organization by date range,
+ * instead of walking every repository like the REST backend.
+ *
+ * Results are converted to the REST shapes the aggregation expects,
+ * so both backends produce the same stats.json.
+ * A failed query fails the whole organization, as its results are shared by all repositories.
+ */
+
+import { selectNewReviews, getCommitKey, getCommitsSince, selectBranches, isKnownBranch } from './shared.js';
+
+// Repositories whose commit history is queried in a single request
+const HISTORY_BATCH_SIZE = 10;
+
+// The search API never returns more than this many results per query
+const SEARCH_RESULT_LIMIT = 1000;
+
+const REPOSITORIES_QUERY = `
+  query($org: String!, $after: String) {
+    organization(login: $org) {
+      repositories(first: 100, after: $after) {
+        nodes { databaseId name nameWithOwner isPrivate hasIssuesEnabled defaultBranchRef { name } }
+        pageInfo { hasNextPage endCursor }
+      }
+    }
+  }`;
+
+const ACTOR_FIELDS = '__typename login avatarUrl';
+
+const REVIEW_FIELDS = `
+  nodes { databaseId state submittedAt author { ${ACTOR_FIELDS} } }
+  pageInfo { hasNextPage endCursor }`;
+
+const PULL_REQUEST_FIELDS = `
+  ... on PullRequest {
+    id number state createdAt updatedAt mergedAt closedAt
+    repository { databaseId }
+    author { ${ACTOR_FIELDS} }
+    reviews(first: 100) { ${REVIEW_FIELDS} }
+  }`;
+
+// Reviews past the first page of a pull request found by a search
+const REVIEWS_QUERY = `
+  query($id: ID!, $after: String) {
+    node(id: $id) {
+      ... on PullRequest {
+        reviews(first: 100, after: $after) { ${REVIEW_FIELDS} }
+      }
+    }
+  }`;
+
+const ISSUE_FIELDS = `
+  ... on Issue {
+    number createdAt
+    repository { databaseId }
+    author { ${ACTOR_FIELDS} }
+  }`;
+
+const CLOSED_ISSUE_FIELDS = `
+  ... on Issue {
+    repository { databaseId }
+    timelineItems(itemTypes: [CLOSED_EVENT], last: 10) {
+      nodes { ... on ClosedEvent { id createdAt actor { ${ACTOR_FIELDS} } } }
+    }
+  }`;
+
+export class GraphqlBackend {
+  /**
+   * @param {Function} graphql - GraphQL client, called as graphql(query, variables)
+   * @param {Object} options - Fetch options
+   * @param {Date} options.windowStart - Oldest date to fetch activity from
+   * @param {boolean} options.lines - Whether to fetch lines added/deleted per commit
+   * @param {Array<RegExp>} options.linesExclude - Paths left out of line counts
+   * @param {Array<RegExp>|null} options.branches - Patterns of the branches to walk besides
+   *   the default branch, null to only walk the default branch
+   * @param {Set<string>} options.countedCommits - Keys of the commits already counted
+   * @param {RestBackend} options.restBackend - Used for line counts when paths are excluded,
+   *   GraphQL only exposes per-commit totals, and for teams
+   */
+  constructor(graphql, { windowStart, lines = false, linesExclude = [], branches = null, countedCommits = new Set(), restBackend = null }) {
+    this.graphql = graphql;
+    this.windowStart = windowStart;
+    this.lines = lines;
+    this.linesExclude = linesExclude;
+    this.branches = branches;
+    this.countedCommits = countedCommits;
+    this.restBackend = restBackend;
+
+    // Activity prefetched by prepareOrganization(), keyed by repository id
+    this.activity = new Map();
+  }
+
+  /**
+   * Fetches all repositories for an organization
+   * @param {string} org - Organization name
+   * @returns {Promise<Array>} List of repositories, in the REST shape
+   */
+  async fetchRepositories(org) {
+    const repos = [];
+    let after = null;
+
+    try {
+      do {
+        const data = await this.graphql(REPOSITORIES_QUERY, { org, after });
+        const page = data.organization.repositories;
+
+        repos.push(...page.nodes.map(node => ({
+          id: node.databaseId,
+          name: node.name,
+          full_name: node.nameWithOwner,
+          private: node.isPrivate,
+          has_issues: node.hasIssuesEnabled,
+          // Empty repositories have no default branch
+          default_branch: node.defaultBranchRef?.name
+        })));
+
+        after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+      } while (after);
+
+      console.log(`Found ${repos.length} repositories in ${org}`);
+      return repos;
+    } catch (error) {
+      console.error(`Error fetching repos for ${org}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Prefetches the activity of every repository of an organization
+   * @param {string} org - Organization name
+   * @param {Array} repos - Repositories of the organization
+   * @param {Object} cursors - Repository cursors keyed by repository id
+   */
+  async prepareOrganization(org, repos, cursors) {
+    for (const repo of repos) {
+      this.activity.set(repo.id, {
+        commits: [], pullRequests: [], updatedPullRequests: [], reviews: [], issues: [], issueEvents: [], branches: null
+      });
+    }
+
+    await this.prefetchCommits(org, repos, cursors);
+    await this.prefetchPullRequests(org, repos, cursors);
+    await this.prefetchIssues(org, repos, cursors);
+  }
+
+  /**
+   * Fetches the teams of an organization with their members
+   * Teams are few and fetched once per run, they go through the REST API.
+   * @param {string} org - Organization name
+   * @returns {Promise<Array>} Teams ({ name, members: [account] })
+   */
+  async fetchTeams(org) {
+    return this.restBackend.fetchTeams(org);
+  }
+
+  /**
+   * Gets the activity of a repository not seen by the previous run
+   * @param {string} org - Organization name
+   * @param {Object} repo - Repository ({ id, name })
+   * @param {Object} [cursor] - Repository cursor from the previous run
+   * @returns {Promise<Object>} Activity ({ commits, pullRequests, updatedPullRequests, reviews, issues, issueEvents, branches })
+   */
+  async fetchRepositoryActivity(org, repo, cursor = null) {
+    const activity = this.activity.get(repo.id);
+    this.activity.delete(repo.id);
+
+    if (this.lines && this.linesExclude.length > 0) {
+      await this.restBackend.fetchCommitLines(org, repo.name, activity.commits);
+    }
+
+    return activity;
+  }
+
+  /**
+   * Fetches the commits of the selected branches, several branches per query
+   * @param {string} org - Organization name
+   * @param {Array} repos - Repositories of the organization
+   * @param {Object} cursors - Repository cursors keyed by repository id
+   */
+  async prefetchCommits(org, repos, cursors) {
+    const branches = this.branches ? await this.fetchBranches(org, repos) : null;
+    // Commits reachable from several branches are only kept once
+    const collected = new Map(repos.map(repo => [repo.id, new Set()]));
+    let pending = [];
+
+    for (const repo of repos) {
+      const cursor = cursors[repo.id];
+      const names = branches
+        ? selectBranches(branches.get(repo.id), repo.default_branch, this.branches)
+        : [repo.default_branch].filter(Boolean);
+
+      if (branches) {
+        this.activity.get(repo.id).branches = names;
+      }
+
+      for (const branch of names) {
+        // A branch new since the previous run may hold commits older than the cursor
+        const commitCursor = !branches || isKnownBranch(cursor, branch) ? cursor?.commits : null;
+
+        pending.push({
+          repo,
+          branch,
+          since: getCommitsSince(commitCursor, this.windowStart),
+          after: null
+        });
+      }
+    }
+
+    while (pending.length > 0) {
+      const batch = pending.slice(0, HISTORY_BATCH_SIZE);
+      pending = pending.slice(HISTORY_BATCH_SIZE);
+
+      let data;
+      try {
+        data = await this.graphql(this.buildHistoryQuery(batch.length), this.buildHistoryVariables(org, batch));
+      } catch (error) {
+        console.error(`Error fetching commits for ${org}:`, error.message);
+        throw error;
+      }
+
+      batch.forEach((entry, index) => {
+        // Branches deleted since they were listed have no ref anymore
+        const history = data[`r${index}`]?.ref?.target?.history;
+        if (!history) return;
+
+        const seen = collected.get(entry.repo.id);
+        const commits = history.nodes
+          .map(node => this.toCommit(node))
+          .filter(c => new Date(c.commit.author.date) >= this.windowStart
+            && !this.countedCommits.has(getCommitKey(c.sha))
+            && !seen.has(c.sha));
+        commits.forEach(c => seen.add(c.sha));
+        this.activity.get(entry.repo.id).commits.push(...commits);
+
+        if (history.pageInfo.hasNextPage) {
+          pending.push({ ...entry, after: history.pageInfo.endCursor });
+        }
+      });
+    }
+  }
+
+  /**
+   * Fetches the branch names of repositories, several repositories per query
+   * @param {string} org - Organization name
+   * @param {Array} repos - Repositories of the organization
+   * @returns {Promise<Map>} Branch names keyed by repository id
+   */
+  async fetchBranches(org, repos) {
+    const branches = new Map(repos.map(repo => [repo.id, []]));
+    let pending = repos.map(repo => ({ repo, after: null }));
+
+    while (pending.length > 0) {
+      const batch = pending.slice(0, HISTORY_BATCH_SIZE);
+      pending = pending.slice(HISTORY_BATCH_SIZE);
+
+      const variables = { owner: org };
+      batch.forEach((entry, i) => {
+        variables[`name${i}`] = entry.repo.name;
+        variables[`after${i}`] = entry.after;
+      });
+
+      let data;
+      try {
+        data = await this.graphql(this.buildBranchesQuery(batch.length), variables);
+      } catch (error) {
+        console.error(`Error fetching branches for ${org}:`, error.message);
+        throw error;
+      }
+
+      batch.forEach((entry, index) => {
+        const refs = data[`r${index}`]?.refs;
+        if (!refs) return;
+
+        branches.get(entry.repo.id).push(...refs.nodes.map(node => node.name));
+
+        if (refs.pageInfo.hasNextPage) {
+          pending.push({ ...entry, after: refs.pageInfo.endCursor });
+        }
+      });
+    }
+
+    return branches;
+  }
+
+  /**
+   * Builds a branch listing query for a batch of repositories
+   * @param {number} size - Number of repositories in the batch
+   * @returns {string} GraphQL query
+   */
+  buildBranchesQuery(size) {
+    const variables = [];
+    const fields = [];
+
+    for (let i = 0; i < size; i++) {
+      variables.push(`$name${i}: String!, $after${i}: String`);
+      fields.push(`
+        r${i}: repository(owner: $owner, name: $name${i}) {
+          refs(refPrefix: "refs/heads/", first: 100, after: $after${i}) {
+            nodes { name }
+            pageInfo { hasNextPage endCursor }
+          }
+        }`);
+    }
+
+    return `
+      query($owner: String!, ${variables.join(', ')}) {
+        ${fields.join('')}
+      }`;
+  }
+
+  /**
+   * Builds a commit history query for a batch of branches
+   * @param {number} size - Number of branches in the batch
+   * @returns {string} GraphQL query
+   */
+  buildHistoryQuery(size) {
+    const variables = [];
+    const fields = [];
+
+    for (let i = 0; i < size; i++) {
+      variables.push(`$name${i}: String!, $ref${i}: String!, $since${i}: GitTimestamp!, $after${i}: String`);
+      fields.push(`
+        r${i}: repository(owner: $owner, name: $name${i}) {
+          ref(qualifiedName: $ref${i}) {
+            target {
+              ... on Commit {
+                history(first: 100, since: $since${i}, after: $after${i}) { ...HistoryPage }
+              }
+            }
+          }
+        }`);
+    }
+
+    return `
+      query($owner: String!, $lines: Boolean!, ${variables.join(', ')}) {
+        ${fields.join('')}
+      }
+      fragment HistoryPage on CommitHistoryConnection {
+        nodes {
+          oid authoredDate committedDate
+          additions @include(if: $lines)
+          deletions @include(if: $lines)
+          parents { totalCount }
+          author { name email user { login avatarUrl } }
+        }
+        pageInfo { hasNextPage endCursor }
+      }`;
+  }
+
+  /**
+   * Builds the variables of a commit history query
+   * @param {string} org - Organization name
+   * @param {Array} batch - Pending branches ({ repo, branch, since, after })
+   * @returns {Object} GraphQL variables
+   */
+  buildHistoryVariables(org, batch) {
+    // Line totals are only usable as-is when no path is excluded
+    const variables = { owner: org, lines: this.lines && this.linesExclude.length === 0 };
+
+    batch.forEach((entry, i) => {
+      variables[`name${i}`] = entry.repo.name;
+      variables[`ref${i}`] = `refs/heads/${entry.branch}`;
+      variables[`since${i}`] = entry.since;
+      variables[`after${i}`] = entry.after;
+    });
+
+    return variables;
+  }
+
+  /**
+   * Fetches pull requests and their reviews with organization-wide searches
+   * @param {string} org - Organization name
+   * @param {Array} repos - Repositories of the organization
+   * @param {Object} cursors - Repository cursors keyed by repository id
+   */
+  async prefetchPullRequests(org, repos, cursors) {
+    const createdSince = this.getEarliestDate(repos, repo => cursors[repo.id]?.pullRequests?.createdAt);
+    const created = this.groupByRepository(
+      await this.searchAll(`org:${org} is:pr`, 'created', createdSince, PULL_REQUEST_FIELDS)
+    );
+
+    // Older pull requests can still receive reviews or get merged, look at everything touched since the last run
+    const incrementalRepos = repos.filter(repo => cursors[repo.id]?.fetchedAt);
+    const updated = incrementalRepos.length > 0
+      ? this.groupByRepository(await this.searchAll(
+        `org:${org} is:pr`,
+        'updated',
+        this.getEarliestDate(incrementalRepos, repo => cursors[repo.id].fetchedAt),
+        PULL_REQUEST_FIELDS
+      ))
+      : new Map();
+
+    for (const repo of repos) {
+      const cursor = cursors[repo.id];
+      const activity = this.activity.get(repo.id);
+      const lastNumber = cursor?.pullRequests?.number || 0;
+
+      await this.fetchRemainingReviews((cursor?.fetchedAt ? updated : created).get(repo.id) || []);
+
+      activity.pullRequests = (created.get(repo.id) || [])
+        .map(node => this.toPullRequest(node))
+        .filter(pr => new Date(pr.created_at) >= this.windowStart && pr.number > lastNumber);
+
+      if (cursor?.fetchedAt) {
+        activity.updatedPullRequests = (updated.get(repo.id) || [])
+          .map(node => this.toPullRequest(node))
+          .filter(pr => new Date(pr.updated_at) >= new Date(cursor.fetchedAt));
+      }
+
+      const reviewed = cursor?.fetchedAt ? activity.updatedPullRequests : activity.pullRequests;
+
+      activity.reviews = reviewed.flatMap(pr => {
+        return selectNewReviews(pr, pr.reviews, this.windowStart, cursor?.reviews);
+      });
+    }
+  }
+
+  /**
+   * Completes the reviews of pull requests with more than one page of them
+   * @param {Array} nodes - Pull request search nodes, their reviews being completed in place
+   */
+  async fetchRemainingReviews(nodes) {
+    for (const node of nodes.filter(node => node.reviews.pageInfo.hasNextPage)) {
+      let after = node.reviews.pageInfo.endCursor;
+
+      try {
+        while (after) {
+          const page = (await this.graphql(REVIEWS_QUERY, { id: node.id, after })).node.reviews;
+          node.reviews.nodes.push(...page.nodes);
+          after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+        }
+      } catch (error) {
+        console.error(`Error fetching reviews of pull request #${node.number}:`, error.message);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Fetches opened issues and issue close events with organization-wide searches
+   * @param {string} org - Organization name
+   * @param {Array} repos - Repositories of the organization
+   * @param {Object} cursors - Repository cursors keyed by repository id
+   */
+  async prefetchIssues(org, repos, cursors) {
+    const issueRepos = repos.filter(repo => repo.has_issues);
+    if (issueRepos.length === 0) return;
+
+    const created = this.groupByRepository(await this.searchAll(
+      `org:${org} is:issue`,
+      'created',
+      this.getEarliestDate(issueRepos, repo => cursors[repo.id]?.issues?.createdAt),
+      ISSUE_FIELDS
+    ));
+
+    const closed = this.groupByRepository(await this.searchAll(
+      `org:${org} is:issue`,
+      'closed',
+      this.getEarliestDate(issueRepos, repo => cursors[repo.id]?.issueEvents?.date),
+      CLOSED_ISSUE_FIELDS
+    ));
+
+    for (const repo of issueRepos) {
+      const cursor = cursors[repo.id];
+      const activity = this.activity.get(repo.id);
+      const lastNumber = cursor?.issues?.number || 0;
+      const closedSince = cursor?.issueEvents?.date ? new Date(cursor.issueEvents.date) : this.windowStart;
+      const seenEventIds = new Set(cursor?.issueEvents?.ids || []);
+
+      activity.issues = (created.get(repo.id) || [])
+        .map(node => ({
+          number: node.number,
+          created_at: node.createdAt,
+          user: this.toAccount(node.author)
+        }))
+        .filter(issue => new Date(issue.created_at) >= this.windowStart && issue.number > lastNumber);
+
+      activity.issueEvents = (closed.get(repo.id) || [])
+        .flatMap(node => node.timelineItems.nodes)
+        .map(event => ({
+          id: event.id,
+          event: 'closed',
+          created_at: event.createdAt,
+          actor: this.toAccount(event.actor)
+        }))
+        .filter(event => new Date(event.created_at) >= closedSince && !seenEventIds.has(event.id));
+    }
+  }
+
+  /**
+   * Runs a search over a date range, splitting the range while it has too many results
+   * @param {string} query - Search query without the date qualifier
+   * @param {string} field - Date qualifier to filter on ('created', 'updated', 'closed')
+   * @param {Date} from - Start of the range
+   * @param {string} fields - Selection applied to each result node
+   * @param {Date} [to] - End of the range (default: now)
+   * @returns {Promise<Array>} Result nodes
+   */
+  async searchAll(query, field, from, fields, to = new Date()) {
+    const range = `${field}:${this.formatDate(from)}..${this.formatDate(to)}`;
+    const search = `
+      query($search: String!, $after: String) {
+        search(query: $search, type: ISSUE, first: 100, after: $after) {
+          issueCount
+          nodes { ${fields} }
+          pageInfo { hasNextPage endCursor }
+        }
+      }`;
+
+    const nodes = [];
+    let after = null;
+
+    try {
+      do {
+        // octokit.graphql() takes "query" as the query itself, not as a variable
+        const data = await this.graphql(search, { search: `${query} ${range}`, after });
+
+        // Results past the limit are unreachable, search both halves of the range instead
+        if (!after && data.search.issueCount > SEARCH_RESULT_LIMIT && to - from > 1000) {
+          const middle = new Date(from.getTime() + Math.floor((to - from) / 2));
+          return [
+            ...await this.searchAll(query, field, from, fields, middle),
+            ...await this.searchAll(query, field, new Date(middle.getTime() + 1000), fields, to)
+          ];
+        }
+
+        nodes.push(...data.search.nodes.filter(Boolean));
+        after = data.search.pageInfo.hasNextPage ? data.search.pageInfo.endCursor : null;
+      } while (after);
+    } catch (error) {
+      console.error(`Error searching "${query} ${range}":`, error.message);
+      throw error;
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Gets the earliest cursor date of a set of repositories
+   * Repositories without a cursor start from the beginning of the fetch window.
+   * @param {Array} repos - Repositories
+   * @param {Function} getDate - Returns the cursor date of a repository, if any
+   * @returns {Date} Earliest date to search from
+   */
+  getEarliestDate(repos, getDate) {
+    return repos.reduce((earliest, repo) => {
+      const date = getDate(repo) ? new Date(getDate(repo)) : this.windowStart;
+      return date < earliest ? date : earliest;
+    }, new Date());
+  }
+
+  /**
+   * Groups search results by repository id
+   * @param {Array} nodes - Search result nodes ({ repository: { databaseId } })
+   * @returns {Map<number, Array>} Nodes keyed by repository id
+   */
+  groupByRepository(nodes) {
+    const groups = new Map();
+    for (const node of nodes) {
+      const id = node.repository?.databaseId;
+      if (!groups.has(id)) {
+        groups.set(id, []);
+      }
+      groups.get(id).push(node);
+    }
+    return groups;
+  }
+
+  /**
+   * Formats a date for a search qualifier (ISO 8601 without milliseconds)
+   * @param {Date} date - Date to format
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+
+  /**
+   * Converts a GraphQL actor to a REST account
+   * Bots are suffixed with [bot] in REST logins but not in GraphQL ones.
+   * @param {Object} actor - GraphQL actor ({ __typename, login, avatarUrl })
+   * @returns {Object|null} Account ({ login, avatar_url, type })
+   */
+  toAccount(actor) {
+    if (!actor) return null;
+
+    return {
+      login: actor.__typename === 'Bot' ? `${actor.login}[bot]` : actor.login,
+      avatar_url: actor.avatarUrl,
+      type: actor.__typename
+    };
+  }
+
+  /**
+   * Converts a commit history node to a REST commit
+   * @param {Object} node - GraphQL commit node
+   * @returns {Object} Commit ({ sha, author, commit, parents, lines })
+   */
+  toCommit(node) {
+    const commit = {
+      sha: node.oid,
+      author: node.author?.user
+        ? { login: node.author.user.login, avatar_url: node.author.user.avatarUrl, type: 'User' }
+        : this.toBotAccount(node.author?.email),
+      commit: {
+        author: { name: node.author?.name, email: node.author?.email, date: node.authoredDate },
+        committer: { date: node.committedDate }
+      },
+      parents: Array.from({ length: node.parents.totalCount }, () => ({}))
+    };
+
+    // Merge commits are skipped as their diff repeats the merged branch
+    if (node.additions !== undefined && node.parents.totalCount <= 1) {
+      commit.lines = { additions: node.additions, deletions: node.deletions };
+    }
+
+    return commit;
+  }
+
+  /**
+   * Recognizes bot commit authors, which GraphQL does not link to an account
+   * Bots commit with a "<id>+<name>[bot]@users.noreply.github.com" email.
+   * @param {string} email - Commit author email
+   * @returns {Object|null} Account ({ login, avatar_url, type })
+   */
+  toBotAccount(email) {
+    const match = /^(\d+)\+(.+\[bot\])@users\.noreply\.github\.com$/.exec(email || '');
+    if (!match) return null;
+
+    return {
+      login: match[2],
+      avatar_url: `https://avatars.githubusercontent.com/u/${match[1]}?v=4`,
+      type: 'Bot'
+    };
+  }
+
+  /**
+   * Converts a pull request search node to a REST pull request
+   * @param {Object} node - GraphQL pull request node
+   * @returns {Object} Pull request ({ number, state, created_at, updated_at, merged_at, closed_at, user, reviews })
+   */
+  toPullRequest(node) {
+    return {
+      number: node.number,
+      state: node.state === 'OPEN' ? 'open' : 'closed',
+      created_at: node.createdAt,
+      updated_at: node.updatedAt,
+      merged_at: node.mergedAt,
+      closed_at: node.closedAt,
+      user: this.toAccount(node.author),
+      reviews: node.reviews.nodes.map(review => ({
+        id: review.databaseId,
+        state: review.state,
+        submitted_at: review.submittedAt,
+        user: this.toAccount(review.author)
+      }))
+    };
+  }
+}
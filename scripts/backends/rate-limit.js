@@ -0,0 +1,102 @@
+/**
+ * Rate Limit Handling
+ *
+ * Wraps every Octokit request (REST and GraphQL) to wait for the rate limit
+ * to reset once it is exhausted, and to retry transient failures with backoff.
+ */
+
+// Server errors worth retrying, anything else is a real failure
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+
+/**
+ * Waits for a given duration
+ * @param {number} ms - Duration in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Gets the time until the rate limit resets, from the response headers
+ * @param {Object} headers - Response headers
+ * @returns {number} Milliseconds to wait (1 second margin included)
+ */
+function getResetDelay(headers) {
+  const reset = parseInt(headers['x-ratelimit-reset'] || '0', 10) * 1000;
+  return Math.max(reset - Date.now(), 0) + 1000;
+}
+
+/**
+ * Gets how long to wait before retrying a failed request
+ * @param {Error} error - Request error
+ * @param {number} attempt - Number of attempts already made
+ * @returns {number|null} Milliseconds to wait, or null if the request should not be retried
+ */
+function getRetryDelay(error, attempt) {
+  const headers = error.response?.headers || {};
+
+  if (error.status === 403 || error.status === 429) {
+    // Secondary rate limits say how long to back off
+    if (headers['retry-after']) {
+      return parseInt(headers['retry-after'], 10) * 1000;
+    }
+    if (headers['x-ratelimit-remaining'] === '0') {
+      return getResetDelay(headers);
+    }
+    return null;
+  }
+
+  // Network errors have no status
+  if (!error.status || RETRYABLE_STATUSES.includes(error.status)) {
+    return 1000 * 2 ** attempt;
+  }
+
+  return null;
+}
+
+/**
+ * Installs rate limit handling and retries on an Octokit instance
+ * @param {Octokit} octokit - Octokit instance
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxRetries=5] - Retries before a request is considered failed
+ */
+export function installRateLimitHandling(octokit, { maxRetries = 5 } = {}) {
+  // Shared by all requests so concurrent ones also wait for the reset
+  let resumeAt = 0;
+
+  octokit.hook.wrap('request', async (request, options) => {
+    for (let attempt = 0; ; attempt++) {
+      if (resumeAt > Date.now()) {
+        await sleep(resumeAt - Date.now());
+      }
+
+      try {
+        const response = await request(options);
+
+        if (response.headers['x-ratelimit-remaining'] === '0') {
+          resumeAt = Date.now() + getResetDelay(response.headers);
+          console.warn(`Rate limit exhausted, pausing until ${new Date(resumeAt).toISOString()}`);
+        }
+
+        // GraphQL reports its rate limit as an error in a successful response
+        const rateLimited = response.data?.errors?.some(error => error.type === 'RATE_LIMITED');
+        if (rateLimited && attempt < maxRetries) {
+          resumeAt = Date.now() + getResetDelay(response.headers);
+          console.warn(`GraphQL rate limit exhausted, retrying at ${new Date(resumeAt).toISOString()}`);
+          continue;
+        }
+
+        return response;
+      } catch (error) {
+        const delay = getRetryDelay(error, attempt);
+        if (delay === null || attempt >= maxRetries) {
+          throw error;
+        }
+
+        console.warn(`Request to ${options.url} failed (${error.status || error.message}), retrying in ${Math.round(delay / 1000)}s`);
+        resumeAt = Math.max(resumeAt, Date.now() + delay);
+      }
+    }
+  });
+}
@@ -0,0 +1,397 @@
+/**
+ * RestBackend Class
+ *
+ * Fetches repository activity with the GitHub REST API,
+ * walking commits, pull requests, reviews and issues repository by repository.
+ * Failed requests are logged and rethrown, so a repository is never counted partially.
+ */
+
+import { selectNewReviews, getCommitKey, getCommitsSince, selectBranches, isKnownBranch } from './shared.js';
+
+export class RestBackend {
+  /**
+   * @param {Octokit} octokit - Authenticated Octokit instance
+   * @param {Object} options - Fetch options
+   * @param {Date} options.windowStart - Oldest date to fetch activity from
+   * @param {boolean} options.lines - Whether to fetch lines added/deleted per commit
+   * @param {Array<RegExp>} options.linesExclude - Paths left out of line counts
+   * @param {Array<RegExp>|null} options.branches - Patterns of the branches to walk besides
+   *   the default branch, null to only walk the default branch
+   * @param {Set<string>} options.countedCommits - Keys of the commits already counted
+   */
+  constructor(octokit, { windowStart, lines = false, linesExclude = [], branches = null, countedCommits = new Set() }) {
+    this.octokit = octokit;
+    this.windowStart = windowStart;
+    this.lines = lines;
+    this.linesExclude = linesExclude;
+    this.branches = branches;
+    this.countedCommits = countedCommits;
+  }
+
+  /**
+   * Fetches all repositories for an organization
+   * @param {string} org - Organization name
+   * @returns {Promise<Array>} List of repositories
+   */
+  async fetchRepositories(org) {
+    try {
+      const repos = await this.octokit.paginate(this.octokit.repos.listForOrg, {
+        org,
+        type: 'all',
+        per_page: 100
+      });
+
+      console.log(`Found ${repos.length} repositories in ${org}`);
+      return repos;
+    } catch (error) {
+      console.error(`Error fetching repos for ${org}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Prepares an organization before its repositories are fetched
+   * Nothing to do here, the REST API is walked repository by repository.
+   * @param {string} org - Organization name
+   * @param {Array} repos - Repositories of the organization
+   * @param {Object} cursors - Repository cursors keyed by repository id
+   */
+  async prepareOrganization(org, repos, cursors) {}
+
+  /**
+   * Fetches the visible teams of an organization with their members
+   * Needs a token allowed to read the organization (read:org scope). Secret teams are left out,
+   * their names and members would otherwise end up in the published stats.json.
+   * @param {string} org - Organization name
+   * @returns {Promise<Array>} Teams ({ name, members: [account] })
+   */
+  async fetchTeams(org) {
+    try {
+      const teams = (await this.octokit.paginate(this.octokit.teams.list, { org, per_page: 100 }))
+        .filter(team => team.privacy === 'closed');
+
+      return await Promise.all(teams.map(async team => ({
+        name: team.name,
+        members: await this.octokit.paginate(this.octokit.teams.listMembersInOrg, {
+          org,
+          team_slug: team.slug,
+          per_page: 100
+        })
+      })));
+    } catch (error) {
+      console.error(`Error fetching teams for ${org}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches the activity of a repository not seen by the previous run
+   * @param {string} org - Organization name
+   * @param {Object} repo - Repository ({ id, name, default_branch, has_issues })
+   * @param {Object} [cursor] - Repository cursor from the previous run
+   * @returns {Promise<Object>} Activity ({ commits, pullRequests, updatedPullRequests, reviews, issues, issueEvents, branches })
+   */
+  async fetchRepositoryActivity(org, repo, cursor = null) {
+    const [{ commits, branches }, pullRequests, updatedPullRequests, issues, issueEvents] = await Promise.all([
+      this.branches
+        ? this.fetchBranchCommits(org, repo, cursor)
+        : this.fetchCommits(org, repo.name, cursor?.commits).then(commits => ({ commits, branches: null })),
+      this.fetchPullRequests(org, repo.name, cursor?.pullRequests),
+      // Older pull requests can still receive reviews or get merged, look at everything touched since the last run
+      cursor?.fetchedAt ? this.fetchUpdatedPullRequests(org, repo.name, cursor.fetchedAt) : null,
+      repo.has_issues ? this.fetchIssues(org, repo.name, cursor?.issues) : [],
+      repo.has_issues ? this.fetchIssueCloseEvents(org, repo.name, cursor?.issueEvents) : []
+    ]);
+
+    const reviews = await this.fetchReviews(org, repo.name, updatedPullRequests ?? pullRequests, cursor?.reviews);
+
+    if (this.lines) {
+      await this.fetchCommitLines(org, repo.name, commits);
+    }
+
+    return {
+      commits,
+      pullRequests,
+      updatedPullRequests: updatedPullRequests ?? [],
+      reviews,
+      issues,
+      issueEvents,
+      branches
+    };
+  }
+
+  /**
+   * Fetches the commits of every selected branch, each commit once
+   * @param {string} owner - Repository owner
+   * @param {Object} repo - Repository ({ name, default_branch })
+   * @param {Object} [cursor] - Repository cursor from the previous run ({ commits, branches })
+   * @returns {Promise<Object>} Commits not seen by the previous run and the walked branches ({ commits, branches })
+   */
+  async fetchBranchCommits(owner, repo, cursor = null) {
+    let names;
+    try {
+      const branches = await this.octokit.paginate(this.octokit.repos.listBranches, {
+        owner,
+        repo: repo.name,
+        per_page: 100
+      });
+      names = branches.map(branch => branch.name);
+    } catch (error) {
+      console.error(`Error fetching branches for ${owner}/${repo.name}:`, error.message);
+      throw error;
+    }
+
+    const branches = selectBranches(names, repo.default_branch, this.branches);
+    const commits = new Map();
+
+    for (const branch of branches) {
+      // A branch new since the previous run may hold commits older than the cursor
+      const branchCursor = isKnownBranch(cursor, branch) ? cursor.commits : null;
+
+      for (const commit of await this.fetchCommits(owner, repo.name, branchCursor, branch)) {
+        if (!commits.has(commit.sha)) {
+          commits.set(commit.sha, commit);
+        }
+      }
+    }
+
+    return { commits: [...commits.values()], branches };
+  }
+
+  /**
+   * Fetches commits for a repository within the configured year range
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} [cursor] - Commit cursor from the previous run ({ date })
+   * @param {string} [branch] - Branch to walk, the default branch if omitted
+   * @returns {Promise<Array>} List of commits not counted yet
+   */
+  async fetchCommits(owner, repo, cursor = null, branch = null) {
+    const since = this.windowStart;
+
+    try {
+      const commits = await this.octokit.paginate(this.octokit.repos.listCommits, {
+        owner,
+        repo,
+        since: getCommitsSince(cursor, since),
+        ...(branch && { sha: branch }),
+        per_page: 100
+      }, (response, done) => {
+        const filtered = response.data.filter(c => new Date(c.commit.author.date) >= since);
+        // If we've gone past our date range, stop paginating
+        if (filtered.length < response.data.length) {
+          done();
+        }
+        // Commits counted by a previous run, or from another branch or repository, are skipped
+        return filtered.filter(c => !this.countedCommits.has(getCommitKey(c.sha)));
+      });
+
+      return commits;
+    } catch (error) {
+      // 409 means empty repository
+      if (error.status === 409) {
+        return [];
+      }
+      console.error(`Error fetching commits for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Attaches lines added/deleted to each commit (as commit.lines)
+   * Merge commits are skipped as their diff repeats the merged branch.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} commits - Commits to look up
+   */
+  async fetchCommitLines(owner, repo, commits) {
+    for (const commit of commits) {
+      if (commit.parents?.length > 1) continue;
+
+      try {
+        const { data } = await this.octokit.repos.getCommit({ owner, repo, ref: commit.sha });
+        const lines = { additions: data.stats.additions, deletions: data.stats.deletions };
+
+        // Only the first page of files is returned, large commits may keep some excluded lines
+        for (const file of data.files || []) {
+          if (this.linesExclude.some(pattern => pattern.test(file.filename))) {
+            lines.additions -= file.additions;
+            lines.deletions -= file.deletions;
+          }
+        }
+
+        commit.lines = lines;
+      } catch (error) {
+        console.error(`Error fetching lines for ${owner}/${repo}@${commit.sha.slice(0, 7)}:`, error.message);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Fetches pull requests for a repository within the configured year range
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} [cursor] - Pull request cursor from the previous run ({ number, createdAt })
+   * @returns {Promise<Array>} List of pull requests not seen by the previous run
+   */
+  async fetchPullRequests(owner, repo, cursor = null) {
+    const since = this.windowStart;
+    // PR numbers only grow, so anything up to the cursor was already counted
+    const lastNumber = cursor?.number || 0;
+
+    try {
+      const pullRequests = await this.octokit.paginate(this.octokit.pulls.list, {
+        owner,
+        repo,
+        state: 'all',
+        sort: 'created',
+        direction: 'desc',
+        per_page: 100
+      }, (response, done) => {
+        const filtered = response.data.filter(pr => new Date(pr.created_at) >= since && pr.number > lastNumber);
+        // If we've gone past our date range or the cursor, stop paginating
+        if (filtered.length < response.data.length) {
+          done();
+        }
+        return filtered;
+      });
+
+      return pullRequests;
+    } catch (error) {
+      console.error(`Error fetching PRs for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches pull requests updated since a given date, whatever their creation date
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {string} since - ISO date of the previous run
+   * @returns {Promise<Array>} List of pull requests with recent activity
+   */
+  async fetchUpdatedPullRequests(owner, repo, since) {
+    try {
+      return await this.octokit.paginate(this.octokit.pulls.list, {
+        owner,
+        repo,
+        state: 'all',
+        sort: 'updated',
+        direction: 'desc',
+        per_page: 100
+      }, (response, done) => {
+        const filtered = response.data.filter(pr => new Date(pr.updated_at) >= new Date(since));
+        if (filtered.length < response.data.length) {
+          done();
+        }
+        return filtered;
+      });
+    } catch (error) {
+      console.error(`Error fetching updated PRs for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches issues opened in a repository within the configured year range
+   * Pull requests, which the issues API also returns, are filtered out.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} [cursor] - Issue cursor from the previous run ({ number, createdAt })
+   * @returns {Promise<Array>} List of issues not seen by the previous run
+   */
+  async fetchIssues(owner, repo, cursor = null) {
+    const since = this.windowStart;
+    // Issues share their numbering with PRs, which only grows
+    const lastNumber = cursor?.number || 0;
+
+    try {
+      const issues = await this.octokit.paginate(this.octokit.issues.listForRepo, {
+        owner,
+        repo,
+        state: 'all',
+        sort: 'created',
+        direction: 'desc',
+        per_page: 100
+      }, (response, done) => {
+        const filtered = response.data.filter(issue => new Date(issue.created_at) >= since && issue.number > lastNumber);
+        // If we've gone past our date range or the cursor, stop paginating
+        if (filtered.length < response.data.length) {
+          done();
+        }
+        return filtered.filter(issue => !issue.pull_request);
+      });
+
+      return issues;
+    } catch (error) {
+      console.error(`Error fetching issues for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches "closed" events on issues within the configured year range
+   * The issue listing does not say who closed an issue, the events timeline does.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} [cursor] - Event cursor from the previous run ({ date, ids })
+   * @returns {Promise<Array>} List of close events not seen by the previous run
+   */
+  async fetchIssueCloseEvents(owner, repo, cursor = null) {
+    const since = cursor?.date ? new Date(cursor.date) : this.windowStart;
+    const seenIds = new Set(cursor?.ids || []);
+
+    try {
+      const events = await this.octokit.paginate(this.octokit.issues.listEventsForRepo, {
+        owner,
+        repo,
+        per_page: 100
+      }, (response, done) => {
+        const filtered = response.data.filter(event => new Date(event.created_at) >= since);
+        // Events are listed newest first, stop once past our date range or the cursor
+        if (filtered.length < response.data.length) {
+          done();
+        }
+        return filtered.filter(event => {
+          return event.event === 'closed' && !event.issue?.pull_request && !seenIds.has(event.id);
+        });
+      });
+
+      return events;
+    } catch (error) {
+      console.error(`Error fetching issue events for ${owner}/${repo}:`, error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetches reviews submitted on the given pull requests
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Array} pullRequests - Pull requests to fetch reviews for
+   * @param {Object} [cursor] - Review cursor from the previous run ({ date, ids })
+   * @returns {Promise<Array>} List of reviews not seen by the previous run
+   */
+  async fetchReviews(owner, repo, pullRequests, cursor = null) {
+    const reviews = [];
+
+    for (const pr of pullRequests) {
+      try {
+        const prReviews = await this.octokit.paginate(this.octokit.pulls.listReviews, {
+          owner,
+          repo,
+          pull_number: pr.number,
+          per_page: 100
+        });
+
+        reviews.push(...selectNewReviews(pr, prReviews, this.windowStart, cursor));
+      } catch (error) {
+        console.error(`Error fetching reviews for ${owner}/${repo}#${pr.number}:`, error.message);
+        throw error;
+      }
+    }
+
+    return reviews;
+  }
+}
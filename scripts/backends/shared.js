@@ -0,0 +1,125 @@
+/**
+ * Helpers shared by the fetch backends
+ *
+ * Both backends hand the same REST-shaped objects to the aggregation,
+ * these helpers keep their filtering rules identical.
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Selects the reviews of a pull request that the previous run did not count
+ * Reviews by the pull request author (replies to review threads) are ignored.
+ * Each review is given its pull request ({ user, created_at }) and whether it is
+ * the first one the pull request received, as first_review.
+ * @param {Object} pr - Pull request ({ user, created_at })
+ * @param {Array} reviews - Reviews of the pull request ({ id, user, state, submitted_at })
+ * @param {Date} windowStart - Oldest date to count activity from
+ * @param {Object} [cursor] - Review cursor from the previous run ({ date, ids })
+ * @returns {Array} Reviews to count
+ */
+export function selectNewReviews(pr, reviews, windowStart, cursor = null) {
+  const since = cursor?.date ? new Date(cursor.date) : windowStart;
+  const seenIds = new Set(cursor?.ids || []);
+
+  // Pending reviews have no submission date yet
+  const submitted = reviews.filter(review => review.submitted_at && review.user?.login !== pr.user?.login);
+  const first = submitted.reduce((earliest, review) => {
+    return !earliest || review.submitted_at < earliest.submitted_at ? review : earliest;
+  }, null);
+
+  return submitted
+    .filter(review => new Date(review.submitted_at) >= since && !seenIds.has(review.id))
+    .map(review => ({
+      ...review,
+      pull_request: { user: pr.user, created_at: pr.created_at },
+      first_review: review === first
+    }));
+}
+
+/**
+ * Converts a glob to a regular expression
+ * Path globs without a slash match the file name in any directory, like .gitignore.
+ * Name globs (branches) always match the whole name, and their * also matches slashes.
+ * @param {string} glob - Glob pattern (supports **, * and ?)
+ * @param {Object} [options]
+ * @param {boolean} [options.path=true] - Whether the glob matches file paths rather than names
+ * @returns {RegExp} Regular expression matching whole paths or names
+ */
+export function globToRegExp(glob, { path = true } = {}) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+
+  if (!path) {
+    return new RegExp(`^${escaped.replace(/\*+/g, '.*').replace(/\?/g, '.')}$`);
+  }
+
+  const source = escaped
+    .replace(/\*\*\//g, '\u0000')
+    .replace(/\*\*/g, '\u0001')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '(?:.*/)?')
+    .replace(/\u0001/g, '.*');
+
+  return new RegExp(glob.includes('/') ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+// Days fetched again before the commit cursor: commits can reach a branch after a run with an
+// older committer date (brought in by a merge, or made before and pushed after it)
+export const COMMIT_LOOKBACK_DAYS = 30;
+
+/**
+ * Gets the date to fetch the commits of a branch from
+ * Commits of the look-back period already counted are skipped by their key.
+ * @param {Object} [cursor] - Commit cursor from the previous run ({ date })
+ * @param {Date} windowStart - Oldest date to count activity from
+ * @returns {string} ISO date
+ */
+export function getCommitsSince(cursor, windowStart) {
+  const since = cursor?.date ? new Date(new Date(cursor.date).getTime() - COMMIT_LOOKBACK_DAYS * 86400000) : windowStart;
+  return (since > windowStart ? since : windowStart).toISOString();
+}
+
+/**
+ * Gets the key a commit is deduplicated by
+ * Shortened SHAs keep the list of counted commits small, collisions are negligible.
+ * @param {string} sha - Commit SHA
+ * @returns {string} Commit key
+ */
+export function getCommitKey(sha) {
+  return sha.slice(0, 12);
+}
+
+/**
+ * Hashes a branch name so branches of hidden private repositories stay unreadable
+ * @param {string} name - Branch name
+ * @returns {string} Masked branch name
+ */
+export function maskBranchName(name) {
+  return `#${createHash('sha256').update(name).digest('hex').slice(0, 12)}`;
+}
+
+/**
+ * Selects the branches whose commits are counted
+ * The default branch is always included.
+ * @param {Array<string>} names - Branch names of the repository
+ * @param {string} [defaultBranch] - Default branch name, missing for empty repositories
+ * @param {Array<RegExp>} patterns - Patterns of the other branches to include
+ * @returns {Array<string>} Branch names, default branch first
+ */
+export function selectBranches(names, defaultBranch, patterns) {
+  const selected = names.filter(name => name !== defaultBranch && patterns.some(pattern => pattern.test(name)));
+  return defaultBranch ? [defaultBranch, ...selected] : selected;
+}
+
+/**
+ * Tells whether a branch was walked by the previous run
+ * Its commits are then fetched from the commit cursor, instead of the start of the window.
+ * @param {Object} [cursor] - Repository cursor from the previous run ({ branches })
+ * @param {string} name - Branch name
+ * @returns {boolean} Whether the branch was walked
+ */
+export function isKnownBranch(cursor, name) {
+  const known = cursor?.branches || [];
+  return known.includes(name) || known.includes(maskBranchName(name));
+}
@@ -0,0 +1,159 @@
+/**
+ * GraphQL Replay Check
+ *
+ * Replays the recorded responses of scripts/fixtures/graphql-replay/ through the fetcher,
+ * in a temporary directory, and checks the statistics it writes. The recordings cover a small
+ * "acme" organization: a public repository with issues and a private one, commits over two
+ * history pages (a merge and a Dependabot commit among them), pull requests with reviews
+ * (one with a second page of reviews), and issues opened by a person and by a bot.
+ *
+ * Responses are replayed in order and the recorded queries must match the ones of the backend:
+ * after changing a query, update the fixture files with it and with responses of its shape.
+ *
+ * Usage: node scripts/check-replay.js
+ */
+
+import { spawnSync } from 'child_process';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+// ANSI colors for console output
+const RED = '\x1b[31m';
+const GREEN = '\x1b[32m';
+const NC = '\x1b[0m'; // No Color
+
+const SCRIPTS_DIR = fileURLToPath(new URL('.', import.meta.url));
+const FIXTURE_DIR = join(SCRIPTS_DIR, 'fixtures', 'graphql-replay');
+
+// Settings the fixture was recorded with, except GH_YEARS: raised so that the recorded activity
+// (September and October 2026) stays in the fetch window
+const REPLAY_SETTINGS = {
+  GH_ORGS: 'acme',
+  GH_BACKEND: 'graphql',
+  GH_GRAPHQL_REPLAY: FIXTURE_DIR,
+  GH_DAILY: 'true',
+  GH_YEARS: '10'
+};
+
+const METRICS = ['commits', 'pullRequests', 'pullRequestsMerged', 'reviews', 'issuesOpened', 'issuesClosed'];
+
+// Totals expected per user, over all years
+const EXPECTED_USERS = {
+  alice: { bot: false, commits: 2, pullRequests: 1, pullRequestsMerged: 1, reviews: 1, issuesOpened: 1, issuesClosed: 0 },
+  bob: { bot: false, commits: 3, pullRequests: 1, pullRequestsMerged: 0, reviews: 1, issuesOpened: 0, issuesClosed: 1 },
+  'dependabot[bot]': { bot: true, commits: 1, pullRequests: 1, pullRequestsMerged: 0, reviews: 0, issuesOpened: 0, issuesClosed: 0 },
+  'renovate[bot]': { bot: true, commits: 0, pullRequests: 0, pullRequestsMerged: 0, reviews: 0, issuesOpened: 1, issuesClosed: 0 }
+};
+
+/**
+ * Runs the fetcher on the fixture in an empty directory
+ * GH_* variables of the environment are left out, so that they cannot change the replay,
+ * and no .env file or fetcher config is found there.
+ * @param {string} dir - Working directory
+ * @returns {Object} Result of the run ({ status, output })
+ */
+function runReplay(dir) {
+  const env = Object.fromEntries(
+    Object.entries(process.env).filter(([name]) => !name.startsWith('GH_') && !name.startsWith('GITHUB_'))
+  );
+
+  const result = spawnSync(process.execPath, [join(SCRIPTS_DIR, 'fetch-stats.js'), '--full'], {
+    cwd: dir,
+    env: { ...env, ...REPLAY_SETTINGS },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  return { status: result.status, output: `${result.stdout || ''}${result.stderr || ''}` };
+}
+
+/**
+ * Compares the statistics with the expected ones
+ * @param {Object} stats - Content of the written stats.json
+ * @param {Object} state - Content of the written fetch-state.json
+ * @returns {Array<string>} Differences, empty when everything matches
+ */
+function checkStats(stats, state) {
+  const errors = [];
+
+  if (stats.organizations?.join(',') !== 'acme') {
+    errors.push(`organizations: expected acme, got ${stats.organizations}`);
+  }
+  if (Object.keys(state.repositories || {}).length !== 2) {
+    errors.push(`repositories: expected 2 cursors in fetch-state.json, got ${Object.keys(state.repositories || {}).length}`);
+  }
+  ['repositories', 'countedCommits'].filter(key => key in stats).forEach(key => {
+    errors.push(`${key} should not be published in stats.json`);
+  });
+
+  const logins = Object.keys(stats.users || {}).sort();
+  if (logins.join(',') !== Object.keys(EXPECTED_USERS).sort().join(',')) {
+    errors.push(`users: expected ${Object.keys(EXPECTED_USERS).sort().join(', ')}, got ${logins.join(', ')}`);
+  }
+
+  for (const [login, expected] of Object.entries(EXPECTED_USERS)) {
+    const user = stats.users?.[login];
+    if (!user) continue;
+
+    if (user.bot !== expected.bot) {
+      errors.push(`${login}: expected bot to be ${expected.bot}`);
+    }
+
+    METRICS.forEach(metric => {
+      const total = Object.values(user[metric] || {}).reduce((sum, year) => sum + (year.total || 0), 0);
+      if (total !== expected[metric]) {
+        errors.push(`${login}: expected ${expected[metric]} ${metric}, got ${total}`);
+      }
+    });
+
+    // With GH_DAILY, active users get per-day counts
+    const hasDays = METRICS.some(metric => Object.values(user[metric] || {}).some(year => year.days));
+    if (!hasDays) {
+      errors.push(`${login}: no per-day counts`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Replays the fixture and checks the result
+ * @returns {Array<string>} Errors, empty when the replay matches
+ */
+function replay() {
+  const dir = mkdtempSync(join(tmpdir(), 'git-ladder-replay-'));
+
+  try {
+    const { status, output } = runReplay(dir);
+
+    if (status !== 0) {
+      return [`The replay failed (exit code ${status}):\n${output}`];
+    }
+
+    // The replay only warns, but the backend no longer sends what was recorded
+    if (output.includes('differs from the one being replayed')) {
+      return [`Queries changed since the fixture was recorded, update its files:\n${output}`];
+    }
+
+    const read = file => JSON.parse(readFileSync(join(dir, 'data', file), 'utf8'));
+    return checkStats(read('stats.json'), read('fetch-state.json'));
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function main() {
+  const errors = replay();
+
+  if (errors.length > 0) {
+    console.error(`${RED}Error: The replay of ${FIXTURE_DIR} does not give the expected statistics:${NC}`);
+    errors.forEach(error => console.error(`${RED}  ${error}${NC}`));
+    process.exit(1);
+  }
+
+  console.log(`${GREEN}Replay of ${FIXTURE_DIR} gives the expected statistics${NC}`);
+}
+
+main();
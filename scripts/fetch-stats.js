@@ -1,14 +1,25 @@
 /**
  * GitHub Statistics Fetcher
  * 
- * Fetches commits and pull requests from specified GitHub organizations
+ * Fetches commits, pull requests, reviews and issues from specified GitHub organizations
  * and aggregates statistics by user, month, and year.
+ *
+ * By default, the previous data/stats.json is reused: only activity newer
+ * than each repository's cursor is fetched and merged into it.
+ * Pass --full to force a complete rebuild.
  */
 
 import 'dotenv/config';
 import { Octokit } from '@octokit/rest';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { readFileSync, writeFileSync, mkdirSync, existsSync, unlinkSync } from 'fs';
 import { dirname } from 'path';
+import { createHash } from 'crypto';
+import { RestBackend } from './backends/rest.js';
+import { GraphqlBackend } from './backends/graphql.js';
+import { recordGraphql, replayGraphql } from './backends/graphql-recorder.js';
+import { globToRegExp, getCommitKey, maskBranchName } from './backends/shared.js';
+import { installRateLimitHandling } from './backends/rate-limit.js';
+import { IdentityResolver, parseMailmap } from './identities.js';
 
 // ANSI colors for console output
 const RED = '\x1b[31m';
@@ -33,8 +44,14 @@ if (ORGANIZATIONS.length === 0) {
   process.exit(1);
 }
 
+// Recorded GraphQL responses to replay instead of calling the API (GraphQL backend only)
+const GRAPHQL_REPLAY_DIR = process.env.GH_GRAPHQL_REPLAY || '';
+
+// Directory to record GraphQL responses to, for later replay
+const GRAPHQL_RECORD_DIR = process.env.GH_GRAPHQL_RECORD || '';
+
 const token = process.env.GH_TOKEN || process.env.GITHUB_TOKEN;
-if (!token) {
+if (!token && !GRAPHQL_REPLAY_DIR) {
   console.error(`${RED}Error: No GitHub token specified.${NC}`);
   console.error('');
   console.error('Set the GH_TOKEN environment variable with your GitHub token.');
@@ -53,177 +70,810 @@ if (isNaN(YEARS_TO_FETCH) || YEARS_TO_FETCH < 1) {
     process.exit(1);
 }
 
+// API used to fetch activity: 'rest' (default) or 'graphql'
+const BACKEND = process.env.GH_BACKEND || 'rest';
+
+if (!['rest', 'graphql'].includes(BACKEND)) {
+    console.error(`${RED}Error: GH_BACKEND must be 'rest' or 'graphql'.${NC}`);
+    process.exit(1);
+}
+
+if (GRAPHQL_REPLAY_DIR && BACKEND !== 'graphql') {
+    console.error(`${RED}Error: GH_GRAPHQL_REPLAY requires GH_BACKEND=graphql.${NC}`);
+    process.exit(1);
+}
+
+// Force a complete rebuild instead of merging into the previous stats
+const FULL_REBUILD = process.argv.includes('--full');
+
+// Private repository names are grouped as "<org>/(private)" unless explicitly exposed
+const SHOW_PRIVATE_REPOS = process.env.GH_SHOW_PRIVATE_REPOS === 'true';
+
+// Lines added/deleted need one extra request per commit, so they are opt-in
+const FETCH_LINES = process.env.GH_LINES === 'true';
+
+// Globs of generated paths (lockfiles, vendored code...) left out of line counts
+// Example: GH_LINES_EXCLUDE="package-lock.json,**/vendor/**,*.min.js"
+const LINES_EXCLUDE = (process.env.GH_LINES_EXCLUDE || '')
+  .split(',').map(glob => glob.trim()).filter(Boolean);
+
+// Per-day counts make stats.json larger, so they are opt-in
+const FETCH_DAILY = process.env.GH_DAILY === 'true';
+
+// Globs of the branches walked besides the default branch, matched on the whole name,
+// "*" also matching slashes so that "*" alone selects all of them
+// Example: GH_BRANCHES="release/*,develop"
+const BRANCHES = (process.env.GH_BRANCHES || '')
+  .split(',').map(glob => glob.trim()).filter(Boolean);
+
+// Options that do not fit in environment variables (identity aliases, mailmap...)
+const CONFIG_FILE = process.env.GH_CONFIG || 'config/fetcher.json';
+let CONFIG = {};
+
+if (existsSync(CONFIG_FILE)) {
+  try {
+    CONFIG = JSON.parse(readFileSync(CONFIG_FILE, 'utf8'));
+  } catch (error) {
+    console.error(`${RED}Error: Could not read ${CONFIG_FILE}: ${error.message}${NC}`);
+    process.exit(1);
+  }
+} else if (process.env.GH_CONFIG) {
+  console.error(`${RED}Error: GH_CONFIG points to a missing file (${CONFIG_FILE}).${NC}`);
+  process.exit(1);
+}
+
+// Commit emails mapped to canonical emails, in the .mailmap format
+let MAILMAP = new Map();
+
+if (CONFIG.mailmap) {
+  try {
+    MAILMAP = parseMailmap(readFileSync(CONFIG.mailmap, 'utf8'));
+  } catch (error) {
+    console.error(`${RED}Error: Could not read the mailmap ${CONFIG.mailmap}: ${error.message}${NC}`);
+    process.exit(1);
+  }
+}
+
+// Service accounts and CI users to flag as bots, on top of the ones GitHub reports
+const BOTS = new Set((CONFIG.bots || []).map(login => login.toLowerCase()));
+
+const IDENTITIES = new IdentityResolver({ aliases: CONFIG.aliases, mailmap: MAILMAP });
+
+// Teams of contributors, listed in the config and/or taken from the organizations' GitHub teams
+const TEAMS = CONFIG.teams || {};
+const GITHUB_TEAMS = CONFIG.githubTeams === true;
+
+// Aliases hold emails, only a hash of them is kept in the published settings
+const IDENTITY_HASH = CONFIG.aliases || MAILMAP.size > 0
+  ? createHash('sha256').update(JSON.stringify([CONFIG.aliases || {}, [...MAILMAP]])).digest('hex').slice(0, 12)
+  : null;
+
+// Settings that change what gets counted, a change forces a full rebuild
+const FETCH_SETTINGS = {
+  years: YEARS_TO_FETCH,
+  backend: BACKEND,
+  showPrivateRepos: SHOW_PRIVATE_REPOS,
+  lines: FETCH_LINES,
+  linesExclude: LINES_EXCLUDE,
+  branches: BRANCHES,
+  identities: IDENTITY_HASH,
+  daily: FETCH_DAILY
+};
+
 console.log(`${GREEN}Configuration:${NC}`);
 console.log(`  Organizations: ${ORGANIZATIONS.join(', ')}`);
 console.log(`  Years to fetch: ${YEARS_TO_FETCH}`);
-console.log(`  Token: ***${token.slice(-4)}`);
+console.log(`  Mode: ${FULL_REBUILD ? 'full rebuild' : 'incremental'}`);
+console.log(`  Backend: ${BACKEND}${GRAPHQL_REPLAY_DIR ? ` (replaying ${GRAPHQL_REPLAY_DIR})` : ''}`);
+console.log(`  Branches: ${BRANCHES.length > 0 ? `default + ${BRANCHES.join(', ')}` : 'default only'}`);
+console.log(`  Identity aliases: ${Object.keys(CONFIG.aliases || {}).length} contributors, ${MAILMAP.size} mailmap entries`);
+console.log(`  Configured bots: ${BOTS.size > 0 ? [...BOTS].join(', ') : 'none'}`);
+console.log(`  Teams: ${Object.keys(TEAMS).length} configured${GITHUB_TEAMS ? ', plus GitHub teams' : ''}`);
+console.log(`  Private repository names: ${SHOW_PRIVATE_REPOS ? 'shown' : 'hidden'}`);
+console.log(`  Lines changed: ${FETCH_LINES ? 'enabled' : 'disabled'}`);
+console.log(`  Daily counts: ${FETCH_DAILY ? 'enabled' : 'disabled'}`);
+if (FETCH_LINES && LINES_EXCLUDE.length > 0) {
+  console.log(`  Excluded paths: ${LINES_EXCLUDE.join(', ')}`);
+}
+if (token) {
+  console.log(`  Token: ***${token.slice(-4)}`);
+}
 console.log('');
 
 const OUTPUT_FILE = 'data/stats.json';
 
+// Progress of an interrupted run, picked up by the next one
+const CHECKPOINT_FILE = 'data/checkpoint.json';
+
+// State of the incremental runs, kept between runs beside stats.json but not published:
+// the cursors of each repository (commit SHAs, review ids and pull request numbers,
+// private repositories included) and the keys of the counted commits, which later runs
+// meet again in the look-back period before each commit cursor, on other branches,
+// or in forks and mirrors across organizations.
+const FETCH_STATE_FILE = 'data/fetch-state.json';
+
+// Bump when the stats.json layout changes, previous files are then rebuilt from scratch
+const SCHEMA_VERSION = 10;
+
+// Review states counted separately, dismissed reviews only count in the total
+const REVIEW_STATE_METRICS = {
+  APPROVED: 'reviewsApproved',
+  CHANGES_REQUESTED: 'reviewsChangesRequested',
+  COMMENTED: 'reviewsCommented'
+};
+
 // Initialize Octokit with authentication
 const octokit = new Octokit({ auth: token });
+installRateLimitHandling(octokit);
+
+/**
+ * Gets the start of the configured fetch window
+ * The window starts on the first day of a month, so that incremental runs can drop
+ * the months leaving it whole and keep matching a full rebuild.
+ * @returns {Date} Oldest date to fetch activity from
+ */
+function getWindowStart() {
+  const now = new Date();
+  return new Date(now.getFullYear() - YEARS_TO_FETCH, now.getMonth(), 1);
+}
 
 /**
- * Fetches all repositories for an organization
- * @param {string} org - Organization name
- * @returns {Promise<Array>} List of repositories
+ * Creates the backend selected by GH_BACKEND
+ * @param {Set<string>} countedCommits - Keys of the commits already counted
+ * @returns {RestBackend|GraphqlBackend} Fetch backend
  */
-async function fetchRepositories(org) {
+function createBackend(countedCommits) {
+  const options = {
+    windowStart: getWindowStart(),
+    lines: FETCH_LINES,
+    linesExclude: LINES_EXCLUDE.map(globToRegExp),
+    branches: BRANCHES.length > 0 ? BRANCHES.map(glob => globToRegExp(glob, { path: false })) : null,
+    countedCommits
+  };
+  const restBackend = new RestBackend(octokit, options);
+  
+  if (BACKEND === 'rest') {
+    return restBackend;
+  }
+  
+  let graphql = GRAPHQL_REPLAY_DIR ? replayGraphql(GRAPHQL_REPLAY_DIR) : octokit.graphql;
+  if (GRAPHQL_RECORD_DIR) {
+    graphql = recordGraphql(graphql, GRAPHQL_RECORD_DIR);
+  }
+  
+  return new GraphqlBackend(graphql, { ...options, restBackend });
+}
+
+/**
+ * Loads the previous statistics file to merge new activity into
+ * @returns {Object|null} Previous stats, or null if a full rebuild is needed
+ */
+function loadPreviousStats() {
+  if (FULL_REBUILD || !existsSync(OUTPUT_FILE)) {
+    return null;
+  }
+
+  let previous;
   try {
-    const repos = await octokit.paginate(octokit.repos.listForOrg, {
-      org,
-      type: 'all',
-      per_page: 100
-    });
-    
-    console.log(`Found ${repos.length} repositories in ${org}`);
-    return repos;
+    previous = JSON.parse(readFileSync(OUTPUT_FILE, 'utf8'), decodeDays);
   } catch (error) {
-    console.error(`Error fetching repos for ${org}:`, error.message);
-    return [];
+    console.warn(`${YELLOW}Could not read ${OUTPUT_FILE}, doing a full rebuild:${NC}`, error.message);
+    return null;
+  }
+
+  // Files written with another layout cannot be merged without double-counting
+  if (previous.schemaVersion !== SCHEMA_VERSION) {
+    console.warn(`${YELLOW}${OUTPUT_FILE} uses an older layout, doing a full rebuild.${NC}`);
+    return null;
+  }
+
+  if (JSON.stringify(previous.settings) !== JSON.stringify(FETCH_SETTINGS)) {
+    console.warn(`${YELLOW}Fetch settings (GH_YEARS, GH_BACKEND, GH_LINES, GH_BRANCHES, GH_DAILY, aliases...) changed since the last run, doing a full rebuild.${NC}`);
+    return null;
   }
+
+  const droppedOrgs = (previous.organizations || []).filter(org => !ORGANIZATIONS.includes(org));
+  if (droppedOrgs.length > 0) {
+    console.warn(`${YELLOW}Organizations no longer tracked (${droppedOrgs.join(', ')}), doing a full rebuild.${NC}`);
+    return null;
+  }
+
+  const state = loadFetchState(previous.lastUpdated);
+  if (!state) {
+    console.warn(`${YELLOW}${FETCH_STATE_FILE} is missing or belongs to other stats, doing a full rebuild.${NC}`);
+    return null;
+  }
+  previous.repositories = state.repositories;
+  previous.countedCommits = state.commits;
+
+  return previous;
 }
 
 /**
- * Fetches commits for a repository within the configured year range
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {Promise<Array>} List of commits
+ * Loads the state of the run that wrote a statistics file
+ * @param {string} lastUpdated - lastUpdated of the statistics the state belongs to
+ * @returns {Object|null} State ({ repositories, commits }): repository cursors keyed by repository id
+ *   and keys of the counted commits by year, null when missing or for other stats
  */
-async function fetchCommits(owner, repo) {
-  const since = new Date();
-  since.setFullYear(since.getFullYear() - YEARS_TO_FETCH);
-  
+function loadFetchState(lastUpdated) {
+  if (!existsSync(FETCH_STATE_FILE)) {
+    return null;
+  }
+
   try {
-    const commits = await octokit.paginate(octokit.repos.listCommits, {
-      owner,
-      repo,
-      since: since.toISOString(),
-      per_page: 100
-    }, (response, done) => {
-      const filtered = response.data.filter(c => new Date(c.commit.author.date) >= since);
-      // If we've gone past our date range, stop paginating
-      if (filtered.length < response.data.length) {
-        done();
-      }
-      return filtered;
-    });
-    
-    return commits;
+    const state = JSON.parse(readFileSync(FETCH_STATE_FILE, 'utf8'));
+    return state.lastUpdated === lastUpdated ? state : null;
   } catch (error) {
-    // 409 means empty repository
-    if (error.status !== 409) {
-      console.error(`Error fetching commits for ${owner}/${repo}:`, error.message);
-    }
-    return [];
+    console.warn(`${YELLOW}Could not read ${FETCH_STATE_FILE}:${NC}`, error.message);
+    return null;
   }
 }
 
 /**
- * Fetches pull requests for a repository within the configured year range
- * @param {string} owner - Repository owner
- * @param {string} repo - Repository name
- * @returns {Promise<Array>} List of pull requests
+ * Reads when the statistics file on disk was written, whether or not it can be merged into
+ * @returns {string|null} Its lastUpdated, null without a readable file
  */
-async function fetchPullRequests(owner, repo) {
-  const since = new Date();
-  since.setFullYear(since.getFullYear() - YEARS_TO_FETCH);
-  
+function readLastUpdated() {
+  if (!existsSync(OUTPUT_FILE)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(OUTPUT_FILE, 'utf8')).lastUpdated ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Loads the progress of an interrupted run
+ * A checkpoint only applies while the statistics file it started from is still the one on disk:
+ * once a run succeeds, older checkpoints are stale and would bring back outdated cursors.
+ * @param {Object|null} previous - Previous stats the run is merged into, null for a full rebuild
+ * @param {string|null} startedFrom - lastUpdated of the statistics file on disk
+ * @returns {Object|null} Checkpoint to resume from, or null to start over
+ */
+function loadCheckpoint(previous, startedFrom) {
+  if (!existsSync(CHECKPOINT_FILE)) {
+    return null;
+  }
+
+  let checkpoint;
   try {
-    const pullRequests = await octokit.paginate(octokit.pulls.list, {
-      owner,
-      repo,
-      state: 'all',
-      sort: 'created',
-      direction: 'desc',
-      per_page: 100
-    }, (response, done) => {
-      const filtered = response.data.filter(pr => new Date(pr.created_at) >= since);
-      // If we've gone past our date range, stop paginating
-      if (filtered.length < response.data.length) {
-        done();
+    checkpoint = JSON.parse(readFileSync(CHECKPOINT_FILE, 'utf8'), decodeDays);
+  } catch (error) {
+    console.warn(`${YELLOW}Could not read ${CHECKPOINT_FILE}, starting over:${NC}`, error.message);
+    return null;
+  }
+
+  const sameRun = checkpoint.schemaVersion === SCHEMA_VERSION
+    && JSON.stringify(checkpoint.settings) === JSON.stringify(FETCH_SETTINGS)
+    && JSON.stringify(checkpoint.organizations) === JSON.stringify(ORGANIZATIONS);
+  if (!sameRun) {
+    console.warn(`${YELLOW}${CHECKPOINT_FILE} was written with other settings, starting over.${NC}`);
+    return null;
+  }
+
+  if ((checkpoint.basedOn ?? null) !== startedFrom) {
+    console.warn(`${YELLOW}${OUTPUT_FILE} changed since ${CHECKPOINT_FILE} was written, starting over.${NC}`);
+    return null;
+  }
+
+  // An incremental run cannot be resumed as a full rebuild, it holds the previous stats
+  if (!checkpoint.full && !previous) {
+    console.warn(`${YELLOW}${CHECKPOINT_FILE} was merging into ${OUTPUT_FILE}, starting the full rebuild over.${NC}`);
+    return null;
+  }
+
+  return checkpoint;
+}
+
+/**
+ * Encodes per-day counts, as a JSON.stringify() replacer
+ * Counts are written as "<day of year>:<count>" pairs ("5:3,6,40:2"),
+ * the count being left out when it is 1. Days without activity are skipped.
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Encoded value
+ */
+function encodeDays(key, value) {
+  if (key !== 'days' || typeof value !== 'object') return value;
+  
+  return Object.entries(value)
+    .filter(([, count]) => count !== 0)
+    .sort((a, b) => a[0] - b[0])
+    .map(([day, count]) => count === 1 ? day : `${day}:${count}`)
+    .join(',');
+}
+
+/**
+ * Decodes per-day counts written by encodeDays(), as a JSON.parse() reviver
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {*} Decoded value ({ <day of year>: count })
+ */
+function decodeDays(key, value) {
+  if (key !== 'days' || typeof value !== 'string') return value;
+  
+  const days = {};
+  for (const entry of value.split(',').filter(Boolean)) {
+    const [day, count = '1'] = entry.split(':');
+    days[day] = parseInt(count, 10);
+  }
+  return days;
+}
+
+/**
+ * Writes a JSON file, creating its directory if needed
+ * @param {string} file - File path
+ * @param {Object} data - Data to serialize
+ * @param {boolean} [pretty=true] - Whether to indent the output
+ */
+function writeJson(file, data, pretty = true) {
+  const dir = dirname(file);
+  if (!existsSync(dir)) {
+    mkdirSync(dir, { recursive: true });
+  }
+  writeFileSync(file, JSON.stringify(data, encodeDays, pretty ? 2 : undefined));
+}
+
+/**
+ * Builds the statistics file content
+ * @param {Map} users - User statistics keyed by login
+ * @param {Object} teams - Member logins keyed by team name
+ * @returns {Object} Statistics, with the bot flag of each user
+ */
+function buildOutput(users, teams) {
+  // Refreshed on every run, so changes to the configured bots apply to known users too
+  for (const [login, user] of users) {
+    user.bot = isBot(login, user);
+  }
+  
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    lastUpdated: new Date().toISOString(),
+    organizations: ORGANIZATIONS,
+    settings: FETCH_SETTINGS,
+    teams,
+    users: Object.fromEntries(users)
+  };
+}
+
+/**
+ * Builds the teams written to the output, members being resolved to their canonical login
+ * Teams of the same name (configured, or in several organizations) are merged.
+ * @param {Array} githubTeams - Teams fetched from GitHub ({ name, members: [account] })
+ * @returns {Object} Sorted member logins, keyed by team name
+ */
+function buildTeams(githubTeams) {
+  const teams = new Map();
+  const configured = Object.entries(TEAMS).map(([name, logins]) => ({
+    name,
+    members: logins.map(login => IDENTITIES.toAccount(login))
+  }));
+  
+  for (const { name, members } of [...configured, ...githubTeams]) {
+    const logins = teams.get(name) || new Set();
+    for (const member of members) {
+      logins.add(IDENTITIES.resolveAccount(member).login);
+    }
+    teams.set(name, logins);
+  }
+  
+  return Object.fromEntries([...teams].map(([name, logins]) => [name, [...logins].sort()]));
+}
+
+/**
+ * Keeps the counted commits of years still in the fetch window
+ * Older commits are never fetched again, so they cannot be counted twice.
+ * @param {Object} [countedCommits] - Keys of the counted commits, by year
+ * @returns {Object} Keys of the counted commits, by year
+ */
+function pruneCountedCommits(countedCommits = {}) {
+  const firstYear = getWindowStart().getFullYear();
+  return Object.fromEntries(
+    Object.entries(countedCommits).filter(([year]) => parseInt(year, 10) >= firstYear)
+  );
+}
+
+/**
+ * Drops the activity of a metric that left the fetch window
+ * @param {Object} metricData - Metric data keyed by year ({ total, months, days })
+ * @param {Date} windowStart - Start of the fetch window, the first day of a month
+ */
+function pruneMetric(metricData, windowStart) {
+  const firstYear = windowStart.getFullYear();
+  const firstMonth = String(windowStart.getMonth() + 1).padStart(2, '0');
+  const firstDay = getDayOfYear(windowStart);
+
+  for (const [year, yearData] of Object.entries(metricData)) {
+    if (parseInt(year, 10) > firstYear) continue;
+    if (parseInt(year, 10) < firstYear) {
+      delete metricData[year];
+      continue;
+    }
+
+    for (const month of Object.keys(yearData.months || {}).filter(month => month < firstMonth)) {
+      delete yearData.months[month];
+    }
+    for (const day of Object.keys(yearData.days || {}).filter(day => parseInt(day, 10) < firstDay)) {
+      delete yearData.days[day];
+    }
+
+    // Duration samples have no total
+    if ('total' in yearData) {
+      yearData.total = Object.values(yearData.months).reduce((sum, count) => sum + count, 0);
+    }
+    if (Object.keys(yearData.months || {}).length === 0) {
+      delete metricData[year];
+    }
+  }
+}
+
+/**
+ * Drops the activity that left the fetch window from the previous statistics
+ * Years, months, per-day counts and per-repository data older than the window go,
+ * as do contributors left without activity, as a full rebuild would not count them.
+ * @param {Map} users - User statistics keyed by login
+ * @param {Date} windowStart - Start of the fetch window, the first day of a month
+ */
+function pruneUsers(users, windowStart) {
+  const isMetric = (key, value) => !['avatar', 'type', 'bot', 'repos'].includes(key) && value && typeof value === 'object';
+  const prune = target => {
+    for (const [key, value] of Object.entries(target)) {
+      if (!isMetric(key, value)) continue;
+      pruneMetric(value, windowStart);
+      if (Object.keys(value).length === 0) {
+        delete target[key];
+      }
+    }
+  };
+
+  for (const [login, user] of users) {
+    prune(user);
+    for (const [repoName, repoData] of Object.entries(user.repos || {})) {
+      prune(repoData);
+      if (Object.keys(repoData).length === 0) {
+        delete user.repos[repoName];
       }
-      return filtered;
+    }
+
+    if (!Object.entries(user).some(([key, value]) => isMetric(key, value))) {
+      users.delete(login);
+    }
+  }
+}
+
+/**
+ * Moves a date cursor forward, remembering the ids seen at the cursor date
+ * @param {Object} cursor - Current cursor ({ date, ids })
+ * @param {string} date - ISO date of the activity
+ * @param {string|number} id - Identifier of the activity
+ * @returns {Object} Updated cursor
+ */
+function advanceDateCursor(cursor, date, id) {
+  if (!cursor || date > cursor.date) {
+    return { date, ids: [id] };
+  }
+  if (date === cursor.date && !cursor.ids.includes(id)) {
+    return { date, ids: [...cursor.ids, id] };
+  }
+  return cursor;
+}
+
+/**
+ * Selects the pull requests left open by the previous run that are now merged or closed
+ * @param {Object} [cursor] - Repository cursor from the previous run ({ openPullRequests })
+ * @param {Array} updatedPullRequests - Pull requests updated since the previous run
+ * @returns {Array} Pull requests whose outcome is now known
+ */
+function selectSettledPullRequests(cursor, updatedPullRequests) {
+  const open = new Set(cursor?.openPullRequests || []);
+  return updatedPullRequests.filter(pr => open.has(pr.number) && pr.state === 'closed');
+}
+
+/**
+ * Advances a repository cursor past the newly fetched activity
+ * @param {Object} previous - Cursor from the previous run ({ commits, pullRequests, reviews, issues, issueEvents, openPullRequests, fetchedAt })
+ * @param {string} fetchedAt - ISO date at which the repository was fetched
+ * @param {Object} activity - Newly fetched activity ({ commits, pullRequests, settledPullRequests, reviews, issues, issueEvents, branches })
+ * @param {boolean} hidden - Whether the repository name is hidden, branch names are then masked
+ * @returns {Object} Updated cursor
+ */
+function advanceCursor(previous = {}, fetchedAt, { commits, pullRequests, settledPullRequests, reviews, issues, issueEvents, branches }, hidden) {
+  const cursor = { ...previous, fetchedAt };
+  
+  // Open pull requests are looked at again until they are merged or closed
+  const settled = new Set(settledPullRequests.map(pr => pr.number));
+  cursor.openPullRequests = [
+    ...(previous.openPullRequests || []).filter(number => !settled.has(number)),
+    ...pullRequests.filter(pr => pr.state === 'open').map(pr => pr.number)
+  ];
+  
+  // Records which branches the counts include, and lets the next run spot new ones
+  if (branches) {
+    cursor.branches = hidden ? branches.map(maskBranchName) : branches;
+  }
+
+  // Commits are fetched again from before the cursor, those already counted are skipped by key
+  for (const commit of commits) {
+    const date = commit.commit.committer?.date || commit.commit.author.date;
+    if (!cursor.commits || date > cursor.commits.date) {
+      cursor.commits = { date };
+    }
+  }
+
+  for (const pr of pullRequests) {
+    if (!cursor.pullRequests || pr.number > cursor.pullRequests.number) {
+      cursor.pullRequests = { number: pr.number, createdAt: pr.created_at };
+    }
+  }
+
+  for (const review of reviews) {
+    cursor.reviews = advanceDateCursor(cursor.reviews, review.submitted_at, review.id);
+  }
+
+  for (const issue of issues) {
+    if (!cursor.issues || issue.number > cursor.issues.number) {
+      cursor.issues = { number: issue.number, createdAt: issue.created_at };
+    }
+  }
+
+  for (const event of issueEvents) {
+    cursor.issueEvents = advanceDateCursor(cursor.issueEvents, event.created_at, event.id);
+  }
+
+  return cursor;
+}
+
+/**
+ * Gets a user's statistics entry, creating it if needed
+ * Aliased accounts share the entry of their canonical login.
+ * @param {Map} users - Map of user statistics
+ * @param {Object} account - GitHub account ({ login, avatar_url })
+ * @returns {Object} User statistics
+ */
+function getUser(users, account) {
+  account = IDENTITIES.resolveAccount(account);
+  
+  if (!users.has(account.login)) {
+    users.set(account.login, {
+      avatar: account.avatar_url,
+      commits: {},
+      pullRequests: {},
+      repos: {}
     });
-    
-    return pullRequests;
-  } catch (error) {
-    console.error(`Error fetching PRs for ${owner}/${repo}:`, error.message);
-    return [];
+  }
+  
+  const user = users.get(account.login);
+  // Accounts built from aliases have no type, keep the one GitHub reported
+  if (account.type) {
+    user.type = account.type;
+  }
+  return user;
+}
+
+/**
+ * Tells whether a user is a bot
+ * GitHub Apps are reported with the "Bot" type and a "[bot]" login suffix,
+ * other service accounts have to be listed in the "bots" configuration.
+ * @param {string} login - GitHub login
+ * @param {Object} user - User statistics ({ type })
+ * @returns {boolean} Whether the user is a bot
+ */
+function isBot(login, user) {
+  return user.type === 'Bot' || login.endsWith('[bot]') || BOTS.has(login.toLowerCase());
+}
+
+/**
+ * Gets the day of the year of a date
+ * @param {Date} date - Date
+ * @returns {number} Day of the year (1 for January 1st)
+ */
+function getDayOfYear(date) {
+  const start = Date.UTC(date.getFullYear(), 0, 1);
+  return (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - start) / 86400000 + 1;
+}
+
+/**
+ * Increments a metric in its year/month buckets
+ * @param {Object} metricData - Metric data keyed by year ({ total, months, days })
+ * @param {Date} date - Date of the activity
+ * @param {number} [amount=1] - Amount to add
+ * @param {boolean} [daily=false] - Whether to also count the day
+ */
+function incrementMetric(metricData, date, amount = 1, daily = false) {
+  const year = date.getFullYear().toString();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  
+  // Initialize year if needed
+  if (!metricData[year]) {
+    metricData[year] = { total: 0, months: {} };
+  }
+  if (!metricData[year].months[month]) {
+    metricData[year].months[month] = 0;
+  }
+  
+  metricData[year].total += amount;
+  metricData[year].months[month] += amount;
+  
+  if (daily) {
+    const day = getDayOfYear(date);
+    metricData[year].days ??= {};
+    metricData[year].days[day] = (metricData[year].days[day] || 0) + amount;
+  }
+}
+
+/**
+ * Increments a metric for a user, both overall and for the repository
+ * Per-day counts (GH_DAILY) are only kept overall, to keep the file small.
+ * @param {Object} user - User statistics
+ * @param {string} repoName - Repository name used for the breakdown
+ * @param {string} metric - Metric name (e.g. 'commits', 'pullRequests', 'reviews')
+ * @param {Date} date - Date of the activity
+ * @param {number} [amount=1] - Amount to add
+ */
+function recordActivity(user, repoName, metric, date, amount = 1) {
+  user[metric] ??= {};
+  incrementMetric(user[metric], date, amount, FETCH_DAILY);
+  
+  user.repos[repoName] ??= {};
+  user.repos[repoName][metric] ??= {};
+  incrementMetric(user.repos[repoName][metric], date, amount);
+}
+
+/**
+ * Records a duration sample for a user, both overall and for the repository
+ * Samples are kept as-is, in hours, so medians can be computed for any filter.
+ * @param {Object} user - User statistics
+ * @param {string} repoName - Repository name used for the breakdown
+ * @param {string} name - Distribution name (e.g. 'timeToMerge')
+ * @param {Date} date - Date the duration ended
+ * @param {number} hours - Duration in hours
+ */
+function recordDuration(user, repoName, name, date, hours) {
+  const year = date.getFullYear().toString();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const sample = Math.round(hours * 10) / 10;
+  
+  user.repos[repoName] ??= {};
+  for (const target of [user, user.repos[repoName]]) {
+    target[name] ??= {};
+    target[name][year] ??= { months: {} };
+    target[name][year].months[month] ??= [];
+    target[name][year].months[month].push(sample);
+  }
+}
+
+/**
+ * Gets the number of hours between two dates
+ * @param {string} from - ISO start date
+ * @param {string} to - ISO end date
+ * @returns {number} Hours elapsed
+ */
+function hoursBetween(from, to) {
+  return (new Date(to) - new Date(from)) / 3600000;
+}
+
+/**
+ * Records whether a pull request was merged, closed without merging or is still open
+ * @param {Object} user - Statistics of the pull request author
+ * @param {string} repoName - Repository name used for the breakdown
+ * @param {Object} pr - Pull request ({ state, created_at, merged_at, closed_at })
+ */
+function recordPullRequestOutcome(user, repoName, pr) {
+  if (pr.merged_at) {
+    const mergedAt = new Date(pr.merged_at);
+    recordActivity(user, repoName, 'pullRequestsMerged', mergedAt);
+    recordDuration(user, repoName, 'timeToMerge', mergedAt, hoursBetween(pr.created_at, pr.merged_at));
+  } else if (pr.state === 'closed') {
+    recordActivity(user, repoName, 'pullRequestsClosed', new Date(pr.closed_at));
+  } else {
+    // Counted at creation, moved to merged or closed once a later run sees it settle
+    recordActivity(user, repoName, 'pullRequestsOpen', new Date(pr.created_at));
   }
 }
 
 /**
  * Aggregates statistics by user
  * @param {Map} users - Map of user statistics
- * @param {Array} commits - List of commits
- * @param {Array} pullRequests - List of pull requests
+ * @param {string} repoName - Repository name used for the breakdown
+ * @param {Object} activity - Fetched activity
+ * @param {Array} activity.commits - List of commits (with lines when GH_LINES is enabled)
+ * @param {Array} activity.pullRequests - List of pull requests
+ * @param {Array} activity.settledPullRequests - Pull requests previously open, now merged or closed
+ * @param {Array} activity.reviews - List of pull request reviews
+ * @param {Array} activity.issues - List of opened issues
+ * @param {Array} activity.issueEvents - List of issue close events
  */
-function aggregateStats(users, commits, pullRequests) {
+function aggregateStats(users, repoName, { commits, pullRequests, settledPullRequests, reviews, issues, issueEvents }) {
   // Process commits
   for (const commit of commits) {
-    if (!commit.author) continue;
+    // Commits by emails without an account are matched through the aliases, or reported at the end
+    const author = IDENTITIES.resolveCommitAuthor(commit);
+    if (!author) continue;
     
-    const login = commit.author.login;
-    const avatar = commit.author.avatar_url;
+    const user = getUser(users, author);
     const date = new Date(commit.commit.author.date);
-    const year = date.getFullYear().toString();
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-    
-    if (!users.has(login)) {
-      users.set(login, {
-        avatar,
-        commits: {},
-        pullRequests: {}
-      });
-    }
+    recordActivity(user, repoName, 'commits', date);
     
-    const user = users.get(login);
-    
-    // Initialize year if needed
-    if (!user.commits[year]) {
-      user.commits[year] = { total: 0, months: {} };
-    }
-    if (!user.commits[year].months[month]) {
-      user.commits[year].months[month] = 0;
+    if (commit.lines) {
+      recordActivity(user, repoName, 'linesAdded', date, commit.lines.additions);
+      recordActivity(user, repoName, 'linesDeleted', date, commit.lines.deletions);
     }
-    
-    user.commits[year].total++;
-    user.commits[year].months[month]++;
   }
   
   // Process pull requests
   for (const pr of pullRequests) {
     if (!pr.user) continue;
     
-    const login = pr.user.login;
-    const avatar = pr.user.avatar_url;
-    const date = new Date(pr.created_at);
-    const year = date.getFullYear().toString();
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    const user = getUser(users, pr.user);
+    recordActivity(user, repoName, 'pullRequests', new Date(pr.created_at));
+    recordPullRequestOutcome(user, repoName, pr);
+  }
+  
+  // Process pull requests that were still open in the previous run
+  for (const pr of settledPullRequests) {
+    if (!pr.user) continue;
     
-    if (!users.has(login)) {
-      users.set(login, {
-        avatar,
-        commits: {},
-        pullRequests: {}
-      });
-    }
+    const user = getUser(users, pr.user);
+    recordActivity(user, repoName, 'pullRequestsOpen', new Date(pr.created_at), -1);
+    recordPullRequestOutcome(user, repoName, pr);
+  }
+  
+  // Process reviews
+  for (const review of reviews) {
+    if (!review.user) continue;
     
-    const user = users.get(login);
+    const user = getUser(users, review.user);
+    const date = new Date(review.submitted_at);
+    recordActivity(user, repoName, 'reviews', date);
     
-    // Initialize year if needed
-    if (!user.pullRequests[year]) {
-      user.pullRequests[year] = { total: 0, months: {} };
+    const stateMetric = REVIEW_STATE_METRICS[review.state];
+    if (stateMetric) {
+      recordActivity(user, repoName, stateMetric, date);
     }
-    if (!user.pullRequests[year].months[month]) {
-      user.pullRequests[year].months[month] = 0;
+    
+    // How long the pull request waited, credited to its author
+    if (review.first_review && review.pull_request.user) {
+      const author = getUser(users, review.pull_request.user);
+      recordDuration(author, repoName, 'timeToFirstReview', date, hoursBetween(review.pull_request.created_at, review.submitted_at));
     }
+  }
+  
+  // Process opened issues
+  for (const issue of issues) {
+    if (!issue.user) continue;
     
-    user.pullRequests[year].total++;
-    user.pullRequests[year].months[month]++;
+    const user = getUser(users, issue.user);
+    recordActivity(user, repoName, 'issuesOpened', new Date(issue.created_at));
+  }
+  
+  // Process closed issues, credited to whoever closed them
+  for (const event of issueEvents) {
+    if (!event.actor) continue;
+    
+    const user = getUser(users, event.actor);
+    recordActivity(user, repoName, 'issuesClosed', new Date(event.created_at));
+  }
+}
+
+/**
+ * Lists the commit emails that could not be matched to a contributor
+ */
+function reportUnmatchedEmails() {
+  const unmatched = [...IDENTITIES.unmatched].sort((a, b) => b[1] - a[1]);
+  if (unmatched.length === 0) return;
+  
+  const total = unmatched.reduce((sum, [, count]) => sum + count, 0);
+  console.warn(`\n${YELLOW}${total} commit(s) from ${unmatched.length} email(s) not linked to a GitHub account were not counted:${NC}`);
+  for (const [email, count] of unmatched.slice(0, 20)) {
+    console.warn(`  ${email}: ${count}`);
   }
+  if (unmatched.length > 20) {
+    console.warn(`  ...and ${unmatched.length - 20} more`);
+  }
+  console.warn(`Map them to a login with "aliases" or a "mailmap" in ${CONFIG_FILE}.`);
 }
 
 /**
@@ -233,12 +883,52 @@ async function main() {
   console.log('Starting GitHub statistics fetch...');
   console.log(`Organizations: ${ORGANIZATIONS.join(', ')}`);
   
-  const users = new Map();
+  const previous = loadPreviousStats();
+  const startedFrom = readLastUpdated();
+  const checkpoint = loadCheckpoint(previous, startedFrom);
+  if (checkpoint) {
+    console.log(`Resuming interrupted run from ${checkpoint.lastUpdated} (${checkpoint.completedRepos.length} repositories done)`);
+  } else if (previous) {
+    console.log(`Merging into previous stats from ${previous.lastUpdated}`);
+  }
+  
+  const base = checkpoint || previous;
+  const windowStart = getWindowStart();
+  const users = new Map(Object.entries(base?.users || {}));
+  pruneUsers(users, windowStart);
+  const repositories = { ...base?.repositories };
+  const completedRepos = new Set(checkpoint?.completedRepos || []);
+  const countedCommits = pruneCountedCommits(base?.countedCommits);
+  const countedKeys = new Set(Object.values(countedCommits).flat());
+  const full = checkpoint ? checkpoint.full === true : !previous;
+  const failures = [];
+  const githubTeams = [];
+  const backend = createBackend(countedKeys);
   
   for (const org of ORGANIZATIONS) {
     console.log(`\nProcessing organization: ${org}`);
     
-    const repos = await fetchRepositories(org);
+    let repos;
+    let fetchedAt;
+    try {
+      repos = (await backend.fetchRepositories(org)).filter(repo => !completedRepos.has(repo.id));
+      
+      // Taken before fetching so activity happening meanwhile is seen again next run
+      fetchedAt = new Date().toISOString();
+      await backend.prepareOrganization(org, repos, repositories);
+    } catch (error) {
+      failures.push({ name: org, error: error.message });
+      continue;
+    }
+    
+    // Teams only group contributors, a token unable to list them is not worth failing the run
+    if (GITHUB_TEAMS) {
+      try {
+        githubTeams.push(...await backend.fetchTeams(org));
+      } catch (error) {
+        console.warn(`${YELLOW}Teams of ${org} could not be listed (the token needs the read:org scope), only configured teams are kept${NC}`);
+      }
+    }
     
     for (const repo of repos) {
       const displayName = repo.private
@@ -246,38 +936,70 @@ async function main() {
         : repo.name;
       console.log(`  Processing ${displayName}...`);
       
-      const [commits, pullRequests] = await Promise.all([
-        fetchCommits(org, repo.name),
-        fetchPullRequests(org, repo.name)
-      ]);
+      // Keyed by id so cursors survive renames and private names stay out of the state file
+      const cursor = repositories[repo.id];
+      let activity;
+      try {
+        activity = await backend.fetchRepositoryActivity(org, repo, cursor);
+      } catch (error) {
+        // Nothing is counted and the cursor stays put, the next run fetches the repository again
+        failures.push({ name: `${org}/${displayName}`, error: error.message });
+        continue;
+      }
+      
+      // Forks and mirrors share commits, each one is credited to the first repository it is found in
+      const commits = activity.commits.filter(commit => !countedKeys.has(getCommitKey(commit.sha)));
+      const { pullRequests, reviews, issues, issueEvents } = activity;
+      const settledPullRequests = selectSettledPullRequests(cursor, activity.updatedPullRequests);
+      
+      console.log(`    Found ${commits.length} new commits, ${pullRequests.length} new PRs (${settledPullRequests.length} older ones settled), ${reviews.length} new reviews, ${issues.length} new issues, ${issueEvents.length} issues closed`);
       
-      console.log(`    Found ${commits.length} commits, ${pullRequests.length} PRs`);
+      const hidden = repo.private && !SHOW_PRIVATE_REPOS;
+      const repoName = hidden ? `${org}/(private)` : repo.full_name;
       
-      aggregateStats(users, commits, pullRequests);
+      // Pull requests opened before the window were dropped with it, a full rebuild does not count them
+      const settledInWindow = settledPullRequests.filter(pr => new Date(pr.created_at) >= windowStart);
+      aggregateStats(users, repoName, { ...activity, commits, settledPullRequests: settledInWindow });
+      repositories[repo.id] = advanceCursor(cursor, fetchedAt, { ...activity, settledPullRequests }, hidden);
+      
+      for (const commit of commits) {
+        const key = getCommitKey(commit.sha);
+        const year = new Date(commit.commit.author.date).getFullYear();
+        countedKeys.add(key);
+        (countedCommits[year] ??= []).push(key);
+      }
+      
+      completedRepos.add(repo.id);
+      writeJson(CHECKPOINT_FILE, {
+        ...buildOutput(users, buildTeams(githubTeams)),
+        repositories,
+        countedCommits,
+        basedOn: startedFrom,
+        full,
+        completedRepos: [...completedRepos]
+      }, false);
     }
   }
   
-  // Convert Map to object for JSON serialization
-  const usersObject = {};
-  for (const [login, data] of users) {
-    usersObject[login] = data;
-  }
+  reportUnmatchedEmails();
   
-  // Build output
-  const output = {
-    lastUpdated: new Date().toISOString(),
-    organizations: ORGANIZATIONS,
-    users: usersObject
-  };
-  
-  // Ensure output directory exists
-  const outputDir = dirname(OUTPUT_FILE);
-  if (!existsSync(outputDir)) {
-    mkdirSync(outputDir, { recursive: true });
+  if (failures.length > 0) {
+    console.error(`\n${RED}${failures.length} fetch(es) failed, ${OUTPUT_FILE} was not updated:${NC}`);
+    for (const { name, error } of failures) {
+      console.error(`${RED}  ${name}: ${error}${NC}`);
+    }
+    if (completedRepos.size > 0) {
+      console.error(`Progress is kept in ${CHECKPOINT_FILE}, run again to resume.`);
+    }
+    process.exit(1);
   }
   
-  // Write output
-  writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2));
+  const output = buildOutput(users, buildTeams(githubTeams));
+  writeJson(OUTPUT_FILE, output);
+  writeJson(FETCH_STATE_FILE, { lastUpdated: output.lastUpdated, repositories, commits: countedCommits }, false);
+  if (existsSync(CHECKPOINT_FILE)) {
+    unlinkSync(CHECKPOINT_FILE);
+  }
   
   console.log(`\nStatistics saved to ${OUTPUT_FILE}`);
   console.log(`Total users: ${users.size}`);
@@ -0,0 +1,183 @@
+/**
+ * Badge Generator
+ *
+ * Reads data/stats.json and writes static SVG images next to it, under data/badges/,
+ * for repositories to embed in their README:
+ * - leaderboard.svg: the top contributors of the year for the organizations
+ * - users/<login>.svg: a shields-style badge per contributor (e.g. "PRs 2025 | 143 · #4")
+ * Figures come from the same DataService the dashboard uses, bots left out.
+ *
+ * Usage: node scripts/generate-badges.js [--metric pullRequests] [--year 2025] [--top 10]
+ *   --metric  Metric to rank on, a key of DataService.metrics (default: pullRequests)
+ *   --year    Year to cover (default: the year of the last update)
+ *             A year without statistics falls back to the latest one that has some, and
+ *             without any statistics the card is empty and the badges show 0.
+ *   --top     Contributors on the leaderboard card (default: 10)
+ */
+
+import { writeFileSync, mkdirSync, rmSync } from 'fs';
+import { RED, GREEN, YELLOW, NC, loadDataService, escapeXml } from './site-data.js';
+
+const BADGES_DIR = 'data/badges';
+
+// Badge labels shorter than the metric labels of the site
+const SHORT_LABELS = {
+  pullRequests: 'PRs',
+  pullRequestsMerged: 'Merged PRs',
+  linesChanged: 'Lines'
+};
+
+// Average width of a character of the badge font (11px Verdana), as shields.io estimates it
+const CHAR_WIDTH = 6.5;
+
+/**
+ * Reads the value of a command line option
+ * @param {string} name - Option name, without the dashes
+ * @returns {string|null} Value, null when the option is not given
+ */
+function getOption(name) {
+  const args = process.argv.slice(2);
+  const index = args.indexOf(`--${name}`);
+  return index !== -1 ? args[index + 1] || '' : null;
+}
+
+/**
+ * Estimates the width of a line of badge text
+ */
+function textWidth(text) {
+  return Math.round(text.length * CHAR_WIDTH) + 10;
+}
+
+/**
+ * Renders a shields-style flat badge
+ * @param {string} label - Left part, on grey
+ * @param {string} message - Right part, on color
+ * @param {string} color - Background of the message
+ * @returns {string} SVG document
+ */
+function renderBadge(label, message, color) {
+  const labelWidth = textWidth(label);
+  const messageWidth = textWidth(message);
+  const width = labelWidth + messageWidth;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(`${label}: ${message}`)}">
+  <title>${escapeXml(`${label}: ${message}`)}</title>
+  <linearGradient id="s" x2="0" y2="100%">
+    <stop offset="0" stop-color="#bbb" stop-opacity=".1"/>
+    <stop offset="1" stop-opacity=".1"/>
+  </linearGradient>
+  <clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>
+  <g clip-path="url(#r)">
+    <rect width="${labelWidth}" height="20" fill="#555"/>
+    <rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${color}"/>
+    <rect width="${width}" height="20" fill="url(#s)"/>
+  </g>
+  <g fill="#fff" text-anchor="middle" font-family="Verdana, Geneva, DejaVu Sans, sans-serif" font-size="11">
+    <text x="${labelWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(label)}</text>
+    <text x="${labelWidth / 2}" y="14">${escapeXml(label)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(message)}</text>
+    <text x="${labelWidth + messageWidth / 2}" y="14">${escapeXml(message)}</text>
+  </g>
+</svg>
+`;
+}
+
+/**
+ * Renders the leaderboard card, one bar per contributor
+ * Colors follow the light or dark preference of the viewer.
+ * @param {string} title - Card title
+ * @param {string} subtitle - Line under the title
+ * @param {Array<Object>} stats - Top contributors, as returned by getUserStats()
+ * @returns {string} SVG document
+ */
+function renderLeaderboard(title, subtitle, stats) {
+  const width = 480;
+  const rowHeight = 28;
+  const top = 76;
+  const height = top + Math.max(stats.length, 1) * rowHeight + 16;
+  const max = Math.max(...stats.map(user => user.value), 1);
+  const barStart = 190;
+  const barWidth = width - barStart - 80;
+
+  const rows = stats.map((user, index) => {
+    const y = top + index * rowHeight;
+    return `
+  <text class="muted" x="24" y="${y + 14}">#${index + 1}</text>
+  <text class="text" x="60" y="${y + 14}">${escapeXml(user.username)}</text>
+  <rect class="bar" x="${barStart}" y="${y + 3}" width="${Math.max(Math.round(user.value / max * barWidth), 2)}" height="14" rx="3"/>
+  <text class="text" x="${width - 24}" y="${y + 14}" text-anchor="end">${escapeXml(user.value.toLocaleString('en-US'))}</text>`;
+  }).join('');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXml(title)}">
+  <style>
+    text { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 13px; }
+    .card { fill: #ffffff; stroke: #d0d7de; }
+    .text { fill: #1f2328; }
+    .title { fill: #1f2328; font-size: 17px; font-weight: 600; }
+    .muted { fill: #656d76; }
+    .bar { fill: #0969da; }
+    @media (prefers-color-scheme: dark) {
+      .card { fill: #161b22; stroke: #30363d; }
+      .text, .title { fill: #f0f6fc; }
+      .muted { fill: #8b949e; }
+      .bar { fill: #58a6ff; }
+    }
+  </style>
+  <rect class="card" x="0.5" y="0.5" width="${width - 1}" height="${height - 1}" rx="10"/>
+  <text class="title" x="24" y="34">${escapeXml(title)}</text>
+  <text class="muted" x="24" y="56">${escapeXml(subtitle)}</text>${rows || `
+  <text class="muted" x="24" y="${top + 14}">No activity yet.</text>`}
+</svg>
+`;
+}
+
+function main() {
+  const dataService = loadDataService();
+
+  const metric = getOption('metric') ?? 'pullRequests';
+  if (!Object.keys(dataService.metrics).includes(metric)) {
+    console.error(`${RED}Error: --metric must be one of ${Object.keys(dataService.metrics).join(', ')}.${NC}`);
+    process.exit(1);
+  }
+
+  // Early in January the year of the last update has no activity yet, the deploy goes on with the previous one
+  const years = dataService.getAvailableYears();
+  let year = getOption('year') ?? String(new Date(dataService.data.lastUpdated).getFullYear());
+  if (!years.includes(year) && years.length > 0) {
+    console.warn(`${YELLOW}No statistics for ${year}, using ${years[0]} instead.${NC}`);
+    year = years[0];
+  }
+
+  const topN = parseInt(getOption('top') ?? '10', 10);
+  if (isNaN(topN) || topN < 1) {
+    console.error(`${RED}Error: --top must be a positive integer.${NC}`);
+    process.exit(1);
+  }
+
+  const stats = dataService.getUserStats({ year, metric, hideBots: true });
+  const ranks = new Map(stats.map((user, index) => [user.username, { rank: index + 1, value: user.value }]));
+  const label = `${SHORT_LABELS[metric] || dataService.getMetricLabel(metric)} ${year}`;
+
+  // Badges of contributors who left are not kept around
+  rmSync(BADGES_DIR, { recursive: true, force: true });
+  mkdirSync(`${BADGES_DIR}/users`, { recursive: true });
+
+  writeFileSync(`${BADGES_DIR}/leaderboard.svg`, renderLeaderboard(
+    `Top ${dataService.getMetricLabel(metric)} · ${year}`,
+    `${dataService.getOrganizations().join(', ')} · updated ${dataService.getLastUpdated()}`,
+    stats.slice(0, topN)
+  ));
+
+  // Every contributor gets a badge, those without activity this year show 0
+  const contributors = dataService.getAllUsers().filter(username => !dataService.isBot(username));
+  contributors.forEach(username => {
+    const entry = ranks.get(username);
+    const message = entry ? `${entry.value.toLocaleString('en-US')} · #${entry.rank}` : '0';
+    const color = entry?.rank <= 3 ? '#dfb317' : '#007ec6';
+    writeFileSync(`${BADGES_DIR}/users/${username}.svg`, renderBadge(label, message, color));
+  });
+
+  console.log(`${GREEN}Leaderboard card and ${contributors.length} badges saved to ${BADGES_DIR}/${NC}`);
+}
+
+main();
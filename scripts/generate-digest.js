@@ -0,0 +1,273 @@
+/**
+ * Digest Generator
+ *
+ * Reads data/stats.json and writes a digest of the last completed month
+ * (or week with --weekly) as Markdown and standalone HTML under reports/:
+ * top contributors per metric, biggest movers, new contributors and team totals.
+ * Figures come from the same DataService the dashboard uses, bots left out.
+ *
+ * Usage: node scripts/generate-digest.js [--weekly] [--date YYYY-MM-DD]
+ *   --weekly  Digest of a week (Monday to Sunday) instead of a month, skipped without GH_DAILY data
+ *   --date    Any day of the period to cover (default: the last completed one)
+ */
+
+import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { RED, GREEN, YELLOW, NC, loadDataService, escapeXml } from './site-data.js';
+
+const REPORTS_DIR = 'reports';
+
+// Contributors listed per metric
+const TOP_N = 5;
+
+// Metrics the digest ranks, in order
+const DIGEST_METRICS = ['score', 'commits', 'pullRequests', 'pullRequestsMerged', 'reviews', 'issuesClosed'];
+
+const args = process.argv.slice(2);
+const WEEKLY = args.includes('--weekly');
+const dateIndex = args.indexOf('--date');
+const DATE = dateIndex !== -1 ? args[dateIndex + 1] : null;
+
+if (dateIndex !== -1 && !/^\d{4}-\d{2}-\d{2}$/.test(DATE || '')) {
+  console.error(`${RED}Error: --date must be a day, as YYYY-MM-DD.${NC}`);
+  process.exit(1);
+}
+
+/**
+ * Gets the period of the digest
+ * Without a date, the last month or week completed before the last update is taken.
+ * @param {DataService} dataService - Loaded data service
+ * @returns {Object} Period ({ name, filters }), name being used for the file names
+ */
+function getPeriod(dataService) {
+  let day;
+  if (DATE) {
+    day = new Date(`${DATE}T00:00`);
+  } else {
+    const lastUpdated = new Date(dataService.data.lastUpdated);
+    day = new Date(lastUpdated.getFullYear(), lastUpdated.getMonth(), lastUpdated.getDate());
+    if (WEEKLY) {
+      day.setDate(day.getDate() - (day.getDay() + 6) % 7 - 1);
+    } else {
+      day.setDate(0);
+    }
+  }
+
+  if (WEEKLY) {
+    const monday = new Date(day.getFullYear(), day.getMonth(), day.getDate() - (day.getDay() + 6) % 7);
+    const sunday = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + 6);
+    const from = formatDay(monday);
+
+    return {
+      name: `week-${from}`,
+      filters: { year: 'all', month: 'all', from, to: formatDay(sunday) }
+    };
+  }
+
+  const year = String(day.getFullYear());
+  const month = String(day.getMonth() + 1).padStart(2, '0');
+  return {
+    name: `${year}-${month}`,
+    filters: { year, month, from: null, to: null }
+  };
+}
+
+/**
+ * Gets the contributors active in the period who had no activity before it
+ * @param {DataService} dataService - Loaded data service
+ * @param {Object} filters - Period filters
+ * @returns {Array<string>} Usernames
+ */
+function getNewContributors(dataService, filters) {
+  const active = (periodFilters) => new Set(dataService.activityMetrics.flatMap(metric => {
+    return dataService.getUserStats({ ...periodFilters, metric, hideBots: true }).map(user => user.username);
+  }));
+
+  const start = filters.from
+    ? new Date(`${filters.from}T00:00`)
+    : new Date(Number(filters.year), Number(filters.month) - 1, 1);
+  const dayBefore = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+
+  // Everything up to the day before, from the first available year
+  const before = active({ year: 'all', month: 'all', from: null, to: formatDay(dayBefore) });
+
+  return [...active(filters)].filter(username => !before.has(username)).sort();
+}
+
+/**
+ * Builds the sections of the digest, each one a table
+ * @param {DataService} dataService - Loaded data service
+ * @param {Object} filters - Period filters
+ * @returns {Array<Object>} Sections ({ title, note, columns, rows }), rows being arrays of cells
+ */
+function buildSections(dataService, filters) {
+  const sections = [];
+  const base = { ...filters, hideBots: true };
+
+  const totals = dataService.getAggregatedStats({ ...base, metric: 'score' });
+  sections.push({
+    title: 'Overview',
+    columns: ['Metric', 'Total'],
+    rows: [
+      ['Contributors', totals.contributors],
+      ...DIGEST_METRICS.filter(metric => metric !== 'score').map(metric => [dataService.getMetricLabel(metric), totals[metric]])
+    ]
+  });
+
+  DIGEST_METRICS.forEach(metric => {
+    const top = dataService.getUserStats({ ...base, metric }).slice(0, TOP_N);
+    if (top.length === 0) return;
+
+    sections.push({
+      title: `Top ${dataService.getMetricLabel(metric)}`,
+      columns: ['Rank', 'Contributor', dataService.getMetricLabel(metric)],
+      rows: top.map((user, index) => [index + 1, user.username, user.value])
+    });
+  });
+
+  const movements = dataService.getRankMovements({ ...base, metric: 'score' });
+  const movers = [...(movements || new Map())]
+    .filter(([, { movement }]) => movement > 0)
+    .sort((a, b) => b[1].movement - a[1].movement)
+    .slice(0, TOP_N);
+  if (movers.length > 0) {
+    sections.push({
+      title: 'Biggest Movers',
+      note: `Score rank against ${dataService.getPeriodLabel(dataService.getPreviousPeriod(filters))}`,
+      columns: ['Contributor', 'Rank', 'Previous Rank', 'Movement'],
+      rows: movers.map(([username, { rank, previousRank, movement }]) => [username, rank, previousRank, `▲${movement}`])
+    });
+  }
+
+  const newContributors = getNewContributors(dataService, filters);
+  if (newContributors.length > 0) {
+    sections.push({
+      title: 'New Contributors',
+      columns: ['Contributor'],
+      rows: newContributors.map(username => [username])
+    });
+  }
+
+  const teams = dataService.getTeamStats({ ...base, metric: 'score' });
+  if (teams.length > 0) {
+    sections.push({
+      title: 'Teams',
+      columns: ['Team', 'Contributors', 'Score', 'Commits', 'Pull Requests', 'Reviews'],
+      rows: teams.map(team => [team.team, team.contributors, team.score, team.commits, team.pullRequests, team.reviews])
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * Formats a local date as 'YYYY-MM-DD'
+ */
+function formatDay(date) {
+  return date.toLocaleDateString('en-CA');
+}
+
+/**
+ * Formats a table cell
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return '–';
+  return typeof value === 'number' ? value.toLocaleString('en-US') : String(value);
+}
+
+/**
+ * Renders the digest as Markdown
+ */
+function renderMarkdown(title, subtitle, sections) {
+  const escape = text => formatCell(text).replace(/\|/g, '\\|');
+  const lines = [`# ${title}`, '', subtitle, ''];
+
+  sections.forEach(({ title: sectionTitle, note, columns, rows }) => {
+    lines.push(`## ${sectionTitle}`, '');
+    if (note) lines.push(`_${note}_`, '');
+    lines.push(`| ${columns.join(' | ')} |`);
+    lines.push(`| ${columns.map(() => '---').join(' | ')} |`);
+    rows.forEach(row => lines.push(`| ${row.map(escape).join(' | ')} |`));
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Renders the digest as a standalone HTML page
+ */
+function renderHtml(title, subtitle, sections) {
+  const escape = text => escapeXml(formatCell(text));
+
+  const body = sections.map(({ title: sectionTitle, note, columns, rows }) => `
+    <section>
+      <h2>${escape(sectionTitle)}</h2>
+      ${note ? `<p class="note">${escape(note)}</p>` : ''}
+      <table>
+        <thead><tr>${columns.map(column => `<th>${escape(column)}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${rows.map(row => `<tr>${row.map(cell => `<td>${escape(cell)}</td>`).join('')}</tr>`).join('\n          ')}
+        </tbody>
+      </table>
+    </section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escape(title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; }
+    h1 { margin-bottom: 0.25rem; }
+    .subtitle, .note { color: #656d76; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 1.5rem; }
+    th, td { padding: 0.4rem 0.6rem; border-bottom: 1px solid #d0d7de; text-align: left; }
+    th { background: #f6f8fa; }
+    @media (prefers-color-scheme: dark) {
+      body { background: #0d1117; color: #f0f6fc; }
+      .subtitle, .note { color: #8b949e; }
+      th, td { border-color: #30363d; }
+      th { background: #161b22; }
+    }
+  </style>
+</head>
+<body>
+  <h1>${escape(title)}</h1>
+  <p class="subtitle">${escape(subtitle)}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+function main() {
+  const dataService = loadDataService();
+
+  // Not an error, so the workflow can ask for it whatever the fetch settings
+  if (WEEKLY && !dataService.hasDailyData()) {
+    console.warn(`${YELLOW}No weekly digest: it needs per-day counts, fetch with GH_DAILY=true.${NC}`);
+    return;
+  }
+
+  const { name, filters } = getPeriod(dataService);
+  const periodLabel = dataService.getPeriodLabel(filters);
+  const organizations = dataService.getOrganizations().join(', ');
+
+  const title = `${WEEKLY ? 'Weekly' : 'Monthly'} Digest: ${periodLabel}`;
+  const subtitle = `${organizations} · updated ${dataService.getLastUpdated()}`;
+  const sections = buildSections(dataService, filters);
+
+  if (!existsSync(REPORTS_DIR)) {
+    mkdirSync(REPORTS_DIR, { recursive: true });
+  }
+
+  const markdownFile = `${REPORTS_DIR}/digest-${name}.md`;
+  const htmlFile = `${REPORTS_DIR}/digest-${name}.html`;
+  writeFileSync(markdownFile, renderMarkdown(title, subtitle, sections));
+  writeFileSync(htmlFile, renderHtml(title, subtitle, sections));
+
+  console.log(`${GREEN}Digest for ${periodLabel} saved to ${markdownFile} and ${htmlFile}${NC}`);
+}
+
+main();
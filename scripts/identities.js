@@ -0,0 +1,107 @@
+/**
+ * IdentityResolver Class
+ *
+ * Maps GitHub accounts and commit emails to one canonical login per person,
+ * so people with several accounts, or committing with an email not linked
+ * to their account, are counted as a single contributor.
+ */
+
+// Emails GitHub hands out to keep real addresses private: "<id>+<login>@users.noreply.github.com"
+const NOREPLY_EMAIL = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/;
+
+/**
+ * Parses a .mailmap file into a map of commit emails to canonical emails
+ * Only the emails are used, names are not matched.
+ * @param {string} text - Content of the .mailmap file
+ * @returns {Map<string, string>} Canonical emails keyed by commit email (lowercased)
+ */
+export function parseMailmap(text) {
+  const mailmap = new Map();
+
+  for (const line of text.split('\n')) {
+    const emails = [...line.replace(/#.*$/, '').matchAll(/<([^>]+)>/g)].map(match => match[1].toLowerCase());
+
+    // "Proper Name <proper@email> Commit Name <commit@email>", the names being optional
+    if (emails.length === 2) {
+      mailmap.set(emails[1], emails[0]);
+    }
+  }
+
+  return mailmap;
+}
+
+export class IdentityResolver {
+  /**
+   * @param {Object} [options] - Identity options
+   * @param {Object} [options.aliases] - Logins and emails keyed by canonical login
+   *   (e.g. { "alice": ["alice-work", "alice@example.com"] })
+   * @param {Map<string, string>} [options.mailmap] - Canonical emails keyed by commit email
+   */
+  constructor({ aliases = {}, mailmap = new Map() } = {}) {
+    this.mailmap = mailmap;
+    this.logins = new Map();
+    this.emails = new Map();
+
+    for (const [login, identities] of Object.entries(aliases)) {
+      this.logins.set(login.toLowerCase(), login);
+
+      for (const identity of identities) {
+        const target = identity.includes('@') ? this.emails : this.logins;
+        target.set(identity.toLowerCase(), login);
+      }
+    }
+
+    // Commits whose author could not be matched, keyed by email
+    this.unmatched = new Map();
+  }
+
+  /**
+   * Resolves an account to its canonical identity
+   * @param {Object} account - GitHub account ({ login, avatar_url })
+   * @returns {Object|null} Canonical account ({ login, avatar_url })
+   */
+  resolveAccount(account) {
+    if (!account) return null;
+
+    const login = this.logins.get(account.login.toLowerCase());
+    if (!login || login === account.login) {
+      return account;
+    }
+
+    return this.toAccount(login);
+  }
+
+  /**
+   * Resolves the author of a commit, falling back to its email when it has no account
+   * Commits that cannot be matched are tallied in `unmatched`.
+   * @param {Object} commit - Commit ({ author, commit: { author: { email } } })
+   * @returns {Object|null} Canonical account ({ login, avatar_url })
+   */
+  resolveCommitAuthor(commit) {
+    if (commit.author) {
+      return this.resolveAccount(commit.author);
+    }
+
+    const email = (commit.commit.author?.email || '').toLowerCase();
+    const canonicalEmail = this.mailmap.get(email) || email;
+    const login = this.emails.get(canonicalEmail) || this.emails.get(email)
+      || NOREPLY_EMAIL.exec(canonicalEmail)?.[1];
+
+    if (login) {
+      return this.resolveAccount(this.toAccount(login));
+    }
+
+    const key = email || '(no email)';
+    this.unmatched.set(key, (this.unmatched.get(key) || 0) + 1);
+    return null;
+  }
+
+  /**
+   * Builds an account for a login known only from the configuration
+   * @param {string} login - GitHub login
+   * @returns {Object} Account ({ login, avatar_url })
+   */
+  toAccount(login) {
+    return { login, avatar_url: `https://github.com/${login}.png` };
+  }
+}
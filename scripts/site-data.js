@@ -0,0 +1,49 @@
+/**
+ * Helpers shared by the scripts generating files from the statistics (digests, badges)
+ *
+ * They load data/stats.json into the same DataService the dashboard uses,
+ * so the generated files show the figures of the site.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import '../src/js/DataService.js';
+import '../src/js/ExportService.js';
+
+const { DataService, ExportService } = globalThis;
+
+// ANSI colors for console output
+export const RED = '\x1b[31m';
+export const GREEN = '\x1b[32m';
+export const YELLOW = '\x1b[33m';
+export const NC = '\x1b[0m'; // No Color
+
+const STATS_FILE = 'data/stats.json';
+const SITE_CONFIG_FILE = 'config/site.json';
+
+/**
+ * Loads the statistics into a DataService, with the score weights of the site config
+ * Exits when there are no statistics yet.
+ * @returns {DataService} Loaded data service
+ */
+export function loadDataService() {
+  if (!existsSync(STATS_FILE)) {
+    console.error(`${RED}Error: ${STATS_FILE} not found, run npm run fetch-data first.${NC}`);
+    process.exit(1);
+  }
+
+  const dataService = new DataService();
+  dataService.data = JSON.parse(readFileSync(STATS_FILE, 'utf8'));
+  dataService.isLoaded = true;
+
+  if (existsSync(SITE_CONFIG_FILE)) {
+    const config = JSON.parse(readFileSync(SITE_CONFIG_FILE, 'utf8'));
+    if (config.scoreWeights) {
+      dataService.setScoreWeights(config.scoreWeights);
+    }
+  }
+
+  return dataService;
+}
+
+// Same escaping as the images exported from the dashboard
+export const escapeXml = ExportService.escapeXML;
@@ -0,0 +1,317 @@
+/**
+ * AchievementService Class
+ *
+ * Awards badges from the statistics with a set of rules, each achievement
+ * carrying the date it was earned. Achievements cover all repositories and
+ * all time, bots never earn them.
+ */
+class AchievementService {
+    /**
+     * @param {DataService} dataService - Loaded data service
+     */
+    constructor(dataService) {
+        this.dataService = dataService;
+
+        // Rules awarding achievements, each returning the earned ones ({ username, date, detail })
+        this.rules = [
+            {
+                id: 'monthly-mvp',
+                name: 'Monthly MVP',
+                icon: '🏆',
+                description: 'Highest score of a month',
+                evaluate: () => this.getMonthlyWinners('score')
+            },
+            {
+                id: 'top-reviewer',
+                name: 'Top Reviewer',
+                icon: '👀',
+                description: 'Most reviews of a month',
+                evaluate: () => this.getMonthlyWinners('reviews')
+            },
+            {
+                id: 'pull-requests',
+                name: 'Pull Request Milestone',
+                icon: '🔀',
+                description: '10, 100 or 500 pull requests opened',
+                evaluate: () => this.getMilestones('pullRequests', [10, 100, 500], 'PRs')
+            },
+            {
+                id: 'commits',
+                name: 'Commit Milestone',
+                icon: '📝',
+                description: '100, 1,000 or 5,000 commits',
+                evaluate: () => this.getMilestones('commits', [100, 1000, 5000], 'commits')
+            },
+            {
+                id: 'reviews',
+                name: 'Review Milestone',
+                icon: '🔍',
+                description: '50, 250 or 1,000 reviews given',
+                evaluate: () => this.getMilestones('reviews', [50, 250, 1000], 'reviews')
+            },
+            {
+                id: 'first-of-year',
+                name: 'First Contribution of the Year',
+                icon: '🌱',
+                description: 'First activity in a new year',
+                evaluate: () => this.getFirstContributions()
+            },
+            {
+                id: 'streak',
+                name: 'Streak',
+                icon: '🔥',
+                description: 'Active 7 or 30 days in a row (needs daily data)',
+                evaluate: () => this.getStreakMilestones([7, 30])
+            },
+            {
+                id: 'longest-streak',
+                name: 'Longest Streak',
+                icon: '⚡',
+                description: 'Longest run of active days of everyone (needs daily data)',
+                evaluate: () => this.getLongestStreak()
+            }
+        ];
+
+        // Earned achievements, computed once per data load
+        this.cache = null;
+        this.cacheData = null;
+
+        // Monthly values per metric, shared by the rules of an evaluation
+        this.monthlyValues = new Map();
+    }
+
+    /**
+     * Gets the achievements of a contributor
+     * @param {string} username - GitHub login
+     * @returns {Array<Object>} Achievements, latest first ({ id, name, icon, description, date, detail })
+     */
+    getAchievements(username) {
+        return this.evaluate().get(username) || [];
+    }
+
+    /**
+     * Gets the latest achievements of everyone
+     * @param {number} limit - Number of achievements to return (default: 10)
+     * @returns {Array<Object>} Achievements, latest first, with the contributor ({ username, avatar, ...achievement })
+     */
+    getRecentAchievements(limit = 10) {
+        const users = this.dataService.data?.users || {};
+
+        return [...this.evaluate()]
+            .flatMap(([username, achievements]) => achievements.map(achievement => ({
+                username,
+                avatar: users[username]?.avatar,
+                ...achievement
+            })))
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .slice(0, limit);
+    }
+
+    /**
+     * Runs every rule once per data load
+     * Scores use the weights of the site configuration: weights edited on the page
+     * change the rankings, not the achievements already earned.
+     * @returns {Map<string, Array>} Achievements keyed by username, latest first
+     * @private
+     */
+    evaluate() {
+        if (this.cache && this.cacheData === this.dataService.data) return this.cache;
+
+        const weights = this.dataService.getScoreWeights();
+        this.dataService.resetScoreWeights();
+
+        const achievements = new Map();
+        try {
+            this.rules.forEach(({ evaluate, ...rule }) => {
+                evaluate().forEach(({ username, date, detail }) => {
+                    if (!achievements.has(username)) achievements.set(username, []);
+                    achievements.get(username).push({ ...rule, date, detail });
+                });
+            });
+        } finally {
+            this.dataService.setScoreWeights(weights);
+            this.monthlyValues.clear();
+        }
+        achievements.forEach(list => list.sort((a, b) => b.date.localeCompare(a.date)));
+
+        this.cache = achievements;
+        this.cacheData = this.dataService.data;
+        return achievements;
+    }
+
+    /**
+     * Gets the contributors who are not bots
+     * @returns {Array<string>} Usernames
+     * @private
+     */
+    getContributors() {
+        return this.dataService.getAllUsers().filter(username => !this.dataService.isBot(username));
+    }
+
+    /**
+     * Gets the values of a metric for each month, per contributor
+     * @param {string} metric - Metric type
+     * @returns {Map<string, Array>} Contributors active in each month ({ username, value }), keyed by 'YYYY-MM'
+     * @private
+     */
+    getMonthlyValues(metric) {
+        if (!this.monthlyValues.has(metric)) {
+            const months = new Map();
+            this.getContributors().forEach(username => {
+                this.dataService.getMonthlyValues(username, metric).forEach((value, month) => {
+                    if (!months.has(month)) months.set(month, []);
+                    months.get(month).push({ username, value });
+                });
+            });
+            this.monthlyValues.set(metric, months);
+        }
+
+        return this.monthlyValues.get(metric);
+    }
+
+    /**
+     * Gets every month of the available years up to the last update
+     * @param {boolean} completedOnly - Whether to leave out the month of the last update
+     * @returns {Array<Object>} Months in chronological order ({ year, month, end }), end being 'YYYY-MM-DD'
+     * @private
+     */
+    getMonths(completedOnly = false) {
+        const lastUpdated = this.dataService.getLastUpdatedDay();
+        const current = lastUpdated.slice(0, 7);
+        const months = [];
+
+        this.dataService.getAvailableYears().slice().sort().forEach(year => {
+            for (let m = 1; m <= 12; m++) {
+                const month = String(m).padStart(2, '0');
+                const key = `${year}-${month}`;
+                if (key > current || (completedOnly && key === current)) break;
+
+                const end = `${key}-${String(new Date(Number(year), m, 0).getDate()).padStart(2, '0')}`;
+                months.push({ year, month, end: end < lastUpdated ? end : lastUpdated });
+            }
+        });
+
+        return months;
+    }
+
+    /**
+     * Awards the first contributor of each completed month on a metric
+     * @private
+     */
+    getMonthlyWinners(metric) {
+        const values = this.getMonthlyValues(metric);
+
+        return this.getMonths(true).flatMap(({ year, month, end }) => {
+            const winner = (values.get(`${year}-${month}`) || []).reduce((best, entry) => (!best || entry.value > best.value ? entry : best), null);
+            if (!winner) return [];
+
+            return [{
+                username: winner.username,
+                date: end,
+                detail: this.dataService.getPeriodLabel({ year, month })
+            }];
+        });
+    }
+
+    /**
+     * Awards contributors whose running total of a metric reaches each threshold
+     * @private
+     */
+    getMilestones(metric, thresholds, unit) {
+        const values = this.getMonthlyValues(metric);
+        const totals = new Map();
+        const earned = [];
+
+        this.getMonths().forEach(({ year, month, end }) => {
+            (values.get(`${year}-${month}`) || []).forEach(({ username, value }) => {
+                const total = totals.get(username) || 0;
+
+                thresholds
+                    .filter(threshold => total < threshold && total + value >= threshold)
+                    .forEach(threshold => earned.push({
+                        username,
+                        date: this.findDayReached(username, metric, `${year}-${month}-01`, end, threshold - total) || end,
+                        detail: `${threshold.toLocaleString()} ${unit}`
+                    }));
+                totals.set(username, total + value);
+            });
+        });
+
+        return earned;
+    }
+
+    /**
+     * Finds the day a count is reached within a month, from the per-day counts
+     * @returns {string|null} Day ('YYYY-MM-DD'), null without daily data
+     * @private
+     */
+    findDayReached(username, metric, from, to, count) {
+        if (!this.dataService.hasDailyData()) return null;
+
+        let total = 0;
+        const day = this.dataService.getDailyActivity({ username, metric, from, to })
+            .find(({ value }) => (total += value) >= count);
+        return day ? day.date : null;
+    }
+
+    /**
+     * Awards the first activity of each contributor in each year
+     * @private
+     */
+    getFirstContributions() {
+        const earned = new Map();
+
+        this.getMonths().forEach(({ year, month, end }) => {
+            this.dataService.activityMetrics
+                .flatMap(metric => this.getMonthlyValues(metric).get(`${year}-${month}`) || [])
+                .forEach(({ username }) => {
+                    const key = `${username}/${year}`;
+                    if (earned.has(key)) return;
+
+                    const firstDay = this.dataService.hasDailyData()
+                        ? this.dataService.getActiveDays(username, { from: `${year}-${month}-01`, to: end }).find(day => day.active)?.date
+                        : null;
+                    earned.set(key, { username, date: firstDay || `${year}-${month}-01`, detail: year });
+                });
+        });
+
+        return [...earned.values()];
+    }
+
+    /**
+     * Awards contributors reaching each streak length, once per length
+     * Streaks are the ones of the dashboard (see DataService.getStreaks()).
+     * @private
+     */
+    getStreakMilestones(lengths) {
+        if (!this.dataService.hasDailyData()) return [];
+
+        return this.getContributors().flatMap(username => {
+            const { reachedOn } = this.dataService.getStreaks(username);
+            return lengths
+                .filter(length => length <= reachedOn.length)
+                .map(length => ({ username, date: reachedOn[length - 1], detail: `${length} days` }));
+        });
+    }
+
+    /**
+     * Awards the contributor with the longest streak, on the day it ended
+     * @private
+     */
+    getLongestStreak() {
+        if (!this.dataService.hasDailyData()) return [];
+
+        let best = null;
+        this.getContributors().forEach(username => {
+            const { longestStreak, reachedOn } = this.dataService.getStreaks(username);
+            if (longestStreak > 1 && (!best || longestStreak > best.length)) {
+                best = { username, date: reachedOn[longestStreak - 1], length: longestStreak };
+            }
+        });
+
+        return best ? [{ username: best.username, date: best.date, detail: `${best.length} days` }] : [];
+    }
+}
+
+// Export for use in other scripts
+window.AchievementService = AchievementService;
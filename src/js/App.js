@@ -8,31 +8,90 @@ class App {
     constructor() {
         this.dataService = new DataService();
         this.chartManager = new ChartManager();
+        this.achievements = new AchievementService(this.dataService);
+        this.exporter = new ExportService(this.dataService, this.chartManager);
 
         // Current filter state
         this.filters = {
             year: 'all',
             month: 'all',
+            range: '', // Preset name or 'custom', empty to use the year and month
+            from: null, // Bounds of a custom range, 'YYYY-MM-DD'
+            to: null,
+            compare: '', // 'previous', 'year' or 'custom' to compare with another period, empty when off
+            compareFrom: null, // Bounds of a custom comparison period, 'YYYY-MM-DD'
+            compareTo: null,
             metric: 'pullRequests',
-            excludedUsers: ['dependabot[bot]'] // Default excluded users
+            excludedUsers: [],
+            hideBots: true, // Bots are flagged by the fetcher
+            repos: [], // Empty means all repositories
+            team: '', // Empty means everyone
+            trendBy: 'users' // Trend lines per 'users' or per 'teams'
         };
 
+        // Contributor whose profile is shown, null for the dashboard
+        this.profileUser = null;
+
+        // Set after the first render, filter changes then add browser history entries
+        this.urlReady = false;
+
         // DOM elements
         this.elements = {
             lastUpdated: document.getElementById('lastUpdated'),
             yearSelect: document.getElementById('yearSelect'),
             monthSelect: document.getElementById('monthSelect'),
+            rangeSelect: document.getElementById('rangeSelect'),
+            customRange: document.getElementById('customRange'),
+            rangeNote: document.getElementById('rangeNote'),
+            rangeFrom: document.getElementById('rangeFrom'),
+            rangeTo: document.getElementById('rangeTo'),
+            compareSelect: document.getElementById('compareSelect'),
+            compareRange: document.getElementById('compareRange'),
+            compareFrom: document.getElementById('compareFrom'),
+            compareTo: document.getElementById('compareTo'),
+            repoSelect: document.getElementById('repoSelect'),
+            teamControl: document.getElementById('teamControl'),
+            teamSelect: document.getElementById('teamSelect'),
+            hideBotsToggle: document.getElementById('hideBotsToggle'),
+            scoreWeights: document.getElementById('scoreWeights'),
+            scoreWeightInputs: document.getElementById('scoreWeightInputs'),
+            scoreWeightsReset: document.getElementById('scoreWeightsReset'),
             excludedUsersChips: document.getElementById('excludedUsersChips'),
             toggleBtns: document.querySelectorAll('.toggle-btn'),
+            streakToggle: document.getElementById('streakToggle'),
             leaderboardChart: document.getElementById('leaderboardChart'),
             trendChart: document.getElementById('trendChart'),
             trendChartSection: document.getElementById('trendChartSection'),
+            trendByToggle: document.getElementById('trendByToggle'),
+            trendByBtns: document.querySelectorAll('.segment-btn[data-trend]'),
+            teamChart: document.getElementById('teamChart'),
+            teamChartSection: document.getElementById('teamChartSection'),
+            climbersSection: document.getElementById('climbersSection'),
+            climbersPeriod: document.getElementById('climbersPeriod'),
+            climbersList: document.getElementById('climbersList'),
+            achievementsSection: document.getElementById('achievementsSection'),
+            achievementsFeed: document.getElementById('achievementsFeed'),
+            profileAchievements: document.getElementById('profileAchievements'),
             usersGrid: document.getElementById('usersGrid'),
             orgBadges: document.getElementById('orgBadges'),
             footerLinks: document.getElementById('footerLinks'),
             kpiCommits: document.getElementById('kpiCommits'),
             kpiPRs: document.getElementById('kpiPRs'),
-            kpiContributors: document.getElementById('kpiContributors')
+            kpiReviews: document.getElementById('kpiReviews'),
+            kpiIssuesOpened: document.getElementById('kpiIssuesOpened'),
+            kpiIssuesClosed: document.getElementById('kpiIssuesClosed'),
+            kpiTimeToMerge: document.getElementById('kpiTimeToMerge'),
+            kpiTimeToFirstReview: document.getElementById('kpiTimeToFirstReview'),
+            kpiContributors: document.getElementById('kpiContributors'),
+            kpiSection: document.getElementById('kpiSection'),
+            mainContent: document.getElementById('mainContent'),
+            profileView: document.getElementById('profileView'),
+            profileHeader: document.getElementById('profileHeader'),
+            profileCalendar: document.getElementById('profileCalendar'),
+            profileTrendChart: document.getElementById('profileTrendChart'),
+            profileRankChart: document.getElementById('profileRankChart'),
+            profileTopRepos: document.getElementById('profileTopRepos'),
+            profileComparison: document.getElementById('profileComparison')
         };
     }
 
@@ -51,15 +110,33 @@ class App {
             this.updateLastUpdated();
             this.updateOrganizations();
             this.populateYearSelect();
+            this.populateRepoSelect();
+            this.populateTeamSelect();
+            this.renderScoreWeights();
             this.bindEventHandlers();
 
+            // Streaks need per-day counts
+            this.elements.streakToggle.style.display = this.dataService.hasDailyData() ? '' : 'none';
+
+            // Restore the filters of a shared link
+            this.applyUrlState();
+            this.syncControls();
+
             // Listen for theme changes to update charts
             window.addEventListener('themechange', () => {
                 this.render();
             });
 
-            // Initial render
+            // Back and forward move between filter states
+            window.addEventListener('popstate', () => {
+                this.applyUrlState();
+                this.syncControls();
+                this.render();
+            });
+
+            // Initial render, replacing the entry so the landing URL carries the filters
             this.render();
+            this.urlReady = true;
         } catch (error) {
             this.showError('Failed to load data. Please try again later.');
             console.error('Initialization error:', error);
@@ -150,6 +227,37 @@ class App {
         }
     }
 
+    /**
+     * Populates the repository multi-select
+     */
+    populateRepoSelect() {
+        this.dataService.getAvailableRepos().forEach(repo => {
+            const option = document.createElement('option');
+            option.value = repo;
+            option.textContent = repo;
+            this.elements.repoSelect.appendChild(option);
+        });
+    }
+
+    /**
+     * Populates the team select, hidden along with the team views when no teams are set up
+     */
+    populateTeamSelect() {
+        const teams = this.dataService.getTeams();
+        const display = teams.length > 0 ? '' : 'none';
+
+        this.elements.teamControl.style.display = display;
+        this.elements.teamChartSection.style.display = display;
+        this.elements.trendByToggle.style.display = display;
+
+        teams.forEach(team => {
+            const option = document.createElement('option');
+            option.value = team;
+            option.textContent = team;
+            this.elements.teamSelect.appendChild(option);
+        });
+    }
+
     /**
      * Binds event handlers to UI elements
      */
@@ -173,55 +281,480 @@ class App {
             this.render();
         });
 
+        // Range presets, a custom range or back to the year and month
+        this.elements.rangeSelect.addEventListener('change', (e) => {
+            this.filters.range = e.target.value;
+            this.syncControls();
+            this.render();
+        });
+
+        [this.elements.rangeFrom, this.elements.rangeTo].forEach(input => {
+            input.addEventListener('change', () => {
+                this.filters.from = this.elements.rangeFrom.value || null;
+                this.filters.to = this.elements.rangeTo.value || null;
+                this.render();
+            });
+        });
+
+        // Comparison period
+        this.elements.compareSelect.addEventListener('change', (e) => {
+            this.filters.compare = e.target.value;
+            this.syncControls();
+            this.render();
+        });
+
+        [this.elements.compareFrom, this.elements.compareTo].forEach(input => {
+            input.addEventListener('change', () => {
+                this.filters.compareFrom = this.elements.compareFrom.value || null;
+                this.filters.compareTo = this.elements.compareTo.value || null;
+                this.render();
+            });
+        });
+
+        // Repository multi-select
+        this.elements.repoSelect.addEventListener('change', () => {
+            const selected = Array.from(this.elements.repoSelect.selectedOptions).map(o => o.value);
+            const allOption = this.elements.repoSelect.querySelector('option[value="all"]');
+
+            // Picking "All Repositories" clears the selection, picking a repository unselects it
+            if (selected.length === 0 || (selected.includes('all') && this.filters.repos.length > 0)) {
+                this.filters.repos = [];
+                Array.from(this.elements.repoSelect.options).forEach(o => o.selected = o === allOption);
+            } else {
+                this.filters.repos = selected.filter(repo => repo !== 'all');
+                allOption.selected = false;
+            }
+
+            this.render();
+        });
+
+        // Team select
+        this.elements.teamSelect.addEventListener('change', (e) => {
+            this.filters.team = e.target.value;
+            this.render();
+        });
+
+        // Trend lines per user or per team
+        this.elements.trendByBtns.forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.filters.trendBy = btn.dataset.trend;
+                this.syncControls();
+                this.render();
+            });
+        });
+
+        // Hide bots toggle
+        this.elements.hideBotsToggle.addEventListener('change', (e) => {
+            this.filters.hideBots = e.target.checked;
+            this.render();
+        });
+
         // Metric toggle buttons
         this.elements.toggleBtns.forEach(btn => {
             btn.addEventListener('click', (e) => {
                 this.elements.toggleBtns.forEach(b => b.classList.remove('active'));
                 btn.classList.add('active');
                 this.filters.metric = btn.dataset.metric;
+                this.syncControls();
                 this.render();
             });
         });
+
+        // Score weights, for this visit only
+        this.elements.scoreWeightInputs.addEventListener('input', () => {
+            const weights = {};
+            this.elements.scoreWeightInputs.querySelectorAll('input').forEach(input => {
+                weights[input.dataset.metric] = input.value;
+            });
+            this.dataService.setScoreWeights(weights);
+            this.render();
+        });
+
+        this.elements.scoreWeightsReset.addEventListener('click', () => {
+            this.dataService.resetScoreWeights();
+            this.renderScoreWeights();
+            this.render();
+        });
+
+        // Escape leaves a contributor profile
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.profileUser) {
+                this.closeProfile();
+            }
+        });
     }
 
     /**
      * Renders all UI components with current filters
      */
     render() {
-        const stats = this.dataService.getUserStats(this.filters);
-        const metricLabel = this.filters.metric === 'commits' ? 'Commits' : 'Pull Requests';
+        const showProfile = this.profileUser !== null;
+        this.elements.profileView.style.display = showProfile ? '' : 'none';
+        this.elements.kpiSection.style.display = showProfile ? 'none' : '';
+        this.elements.mainContent.style.display = showProfile ? 'none' : '';
+
+        this.updateUrl();
+
+        // Ranges cutting through months without per-day counts to split them
+        this.elements.rangeNote.style.display = this.dataService.isApproximateRange(this.getPeriodFilters()) ? '' : 'none';
+
+        if (showProfile) {
+            this.renderProfile();
+            return;
+        }
+
+        const filters = this.getPeriodFilters();
+        const stats = this.dataService.getUserStats(filters);
+        const metricLabel = this.dataService.getMetricLabel(this.filters.metric);
+
+        // Rank changes since the previous period, null for all time
+        const movements = this.dataService.getRankMovements(filters);
+
+        // Compare mode, when the selected period has a baseline
+        const baseline = this.getBaselinePeriod(filters);
+        const comparison = baseline ? this.dataService.getComparisonStats(filters, baseline) : null;
+        if (comparison) {
+            comparison.labels = {
+                current: this.dataService.getPeriodLabel(filters),
+                previous: this.dataService.getPeriodLabel(baseline)
+            };
+        }
 
         // Update charts
-        this.chartManager.createLeaderboardChart(
-            this.elements.leaderboardChart,
-            stats,
-            metricLabel,
-            (username) => this.handleChartClick(username)
-        );
-
-        const trendData = this.dataService.getTrendData({
-            year: this.filters.year,
-            metric: this.filters.metric,
-            topN: 10,
-            excludedUsers: this.filters.excludedUsers
-        });
+        if (comparison) {
+            this.chartManager.createComparisonChart(
+                this.elements.leaderboardChart,
+                comparison.users,
+                metricLabel,
+                comparison.labels,
+                (username, event) => this.handleLeaderboardClick(username, event)
+            );
+        } else {
+            this.chartManager.createLeaderboardChart(
+                this.elements.leaderboardChart,
+                stats,
+                metricLabel,
+                (username, event) => this.handleLeaderboardClick(username, event),
+                movements
+            );
+        }
+
+        this.renderClimbers(stats, movements, filters);
+
+        if (this.dataService.getTeams().length > 0) {
+            this.chartManager.createTeamChart(
+                this.elements.teamChart,
+                this.dataService.getTeamStats(filters),
+                metricLabel,
+                (team) => this.selectTeam(team)
+            );
+        }
+
+        const trendData = this.getTrendData(filters);
 
-        // Hide trend chart if specific month selected, or if no data
-        if (this.filters.month !== 'all' || !trendData) {
+        // Hide trend chart if specific month selected, for streaks, or if no data
+        const isStreak = Boolean(this.dataService.streakMetrics[this.filters.metric]);
+        if ((!this.filters.range && this.filters.month !== 'all') || isStreak || !trendData) {
             this.elements.trendChartSection.style.display = 'none';
         } else {
             this.elements.trendChartSection.style.display = 'block';
             this.chartManager.createTrendChart(this.elements.trendChart, trendData);
         }
 
+        this.renderRecentAchievements();
+
         // Update user cards
-        this.renderUserCards(stats);
+        this.renderUserCards(stats, comparison, movements, filters);
 
         // Update excluded user chips
         this.renderExcludedChips();
 
         // Update KPIs
-        this.updateKPIs();
+        this.updateKPIs(filters, comparison);
+    }
+
+    /**
+     * Gets the trend series of the current view
+     * @param {Object} filters - Filters, with the range resolved
+     * @returns {Object|null} Trend data, as returned by getTrendData()
+     */
+    getTrendData(filters) {
+        return this.dataService.getTrendData({
+            year: this.filters.year,
+            from: filters.from,
+            to: filters.to,
+            metric: this.filters.metric,
+            topN: 10,
+            excludedUsers: this.filters.excludedUsers,
+            hideBots: this.filters.hideBots,
+            repos: this.filters.repos,
+            team: this.filters.team || null,
+            byTeam: this.filters.trendBy === 'teams'
+        });
+    }
+
+    /**
+     * Downloads the contributors of the current view
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportStats(format) {
+        const filters = this.getPeriodFilters();
+        this.exporter.exportStats(this.dataService.getUserStats(filters), filters, format);
+    }
+
+    /**
+     * Downloads the trend series of the current view
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportTrend(format) {
+        const filters = this.getPeriodFilters();
+        const trendData = this.getTrendData(filters);
+        if (trendData) {
+            this.exporter.exportTrend(trendData, filters, format);
+        }
+    }
+
+    /**
+     * Downloads the leaderboard or the trend chart as a PNG image
+     * @param {string} name - 'leaderboard' or 'trend'
+     */
+    exportChart(name) {
+        const chart = name === 'trend' ? this.chartManager.trendChart : this.chartManager.leaderboardChart;
+        if (!chart) return;
+
+        const filters = this.getPeriodFilters();
+        let title = name === 'trend' ? 'Monthly Trends' : 'Hall of Fame';
+
+        // The leaderboard shows both periods in compare mode
+        const baseline = name === 'leaderboard' ? this.getBaselinePeriod(filters) : null;
+        if (baseline) {
+            title += ` vs ${this.dataService.getPeriodLabel(baseline)}`;
+        }
+
+        this.exporter.exportChart(chart, name, title, filters)
+            .catch(error => console.error('Chart export failed:', error));
+    }
+
+    /**
+     * Downloads the report card of the contributor whose profile is shown
+     * @param {string} format - 'png' or 'svg'
+     */
+    exportReportCard(format) {
+        if (!this.profileUser) return;
+
+        this.exporter.exportReportCard(this.profileUser, this.getPeriodFilters(), format)
+            .catch(error => console.error('Report card export failed:', error));
+    }
+
+    /**
+     * Scopes the dashboard to a team, or back to everyone when it is already selected
+     * @param {string} team - Team name
+     */
+    selectTeam(team) {
+        this.filters.team = this.filters.team === team ? '' : team;
+        this.syncControls();
+        this.render();
+    }
+
+    /**
+     * Gets the period to compare the selected one with
+     * @param {Object} filters - Filters, with the range resolved
+     * @returns {Object|null} Period ({ year, month, from, to }), null when not comparing
+     *   or when the selected period has nothing before it (all time)
+     */
+    getBaselinePeriod(filters) {
+        if (this.filters.compare === 'custom') {
+            if (!this.filters.compareFrom && !this.filters.compareTo) return null;
+            return { year: 'all', month: 'all', from: this.filters.compareFrom, to: this.filters.compareTo };
+        }
+
+        if (this.filters.compare) {
+            return this.dataService.getPreviousPeriod(filters, this.filters.compare);
+        }
+
+        return null;
+    }
+
+    /**
+     * Gets the filters to query with, presets being resolved to a from/to range
+     * Presets are rolling, they are computed from today on each render.
+     * @returns {Object} Filters, with from and to set when a range is selected
+     */
+    getPeriodFilters() {
+        const today = new Date();
+        const year = today.getFullYear();
+        const quarterStart = Math.floor(today.getMonth() / 3) * 3;
+        let from = null;
+        let to = null;
+
+        switch (this.filters.range) {
+            case 'this-quarter':
+                from = new Date(year, quarterStart, 1);
+                to = today;
+                break;
+            case 'last-quarter':
+                from = new Date(year, quarterStart - 3, 1);
+                to = new Date(year, quarterStart, 0);
+                break;
+            case 'last-90-days':
+                from = new Date(year, today.getMonth(), today.getDate() - 89);
+                to = today;
+                break;
+            case 'last-12-months':
+                from = new Date(year, today.getMonth() - 11, 1);
+                to = today;
+                break;
+            case 'custom':
+                from = this.filters.from;
+                to = this.filters.to;
+                break;
+        }
+
+        return { ...this.filters, from, to };
+    }
+
+    /**
+     * Builds the query string describing the current filters and profile
+     * Defaults are left out to keep links short, except the year which depends on the date.
+     * @returns {string} Query string, starting with '?'
+     */
+    getUrlQuery() {
+        const params = new URLSearchParams();
+
+        params.set('year', this.filters.year);
+        if (this.filters.month !== 'all') params.set('month', this.filters.month);
+        if (this.filters.range) params.set('range', this.filters.range);
+        if (this.filters.range === 'custom' && this.filters.from) params.set('from', this.filters.from);
+        if (this.filters.range === 'custom' && this.filters.to) params.set('to', this.filters.to);
+        if (this.filters.compare) params.set('compare', this.filters.compare);
+        if (this.filters.compare === 'custom' && this.filters.compareFrom) params.set('compareFrom', this.filters.compareFrom);
+        if (this.filters.compare === 'custom' && this.filters.compareTo) params.set('compareTo', this.filters.compareTo);
+        if (this.filters.metric !== 'pullRequests') params.set('metric', this.filters.metric);
+        if (!this.filters.hideBots) params.set('bots', 'show');
+        this.filters.repos.forEach(repo => params.append('repo', repo));
+        if (this.filters.team) params.set('team', this.filters.team);
+        if (this.filters.trendBy === 'teams') params.set('trend', 'teams');
+        this.filters.excludedUsers.forEach(username => params.append('exclude', username));
+        if (this.profileUser) params.set('user', this.profileUser);
+
+        return `?${params.toString()}`;
+    }
+
+    /**
+     * Reflects the current filters in the URL
+     * A new history entry is added for each change, the first render only replaces the landing one.
+     */
+    updateUrl() {
+        const query = this.getUrlQuery();
+        if (query === window.location.search) return;
+
+        const url = `${window.location.pathname}${query}${window.location.hash}`;
+        if (this.urlReady) {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    /**
+     * Reads the filters and profile from the URL, unknown values fall back to the defaults
+     */
+    applyUrlState() {
+        const params = new URLSearchParams(window.location.search);
+        const years = this.dataService.getAvailableYears();
+        const repos = this.dataService.getAvailableRepos();
+
+        if (params.has('year')) {
+            const year = params.get('year');
+            this.filters.year = year === 'all' || years.includes(year) ? year : this.filters.year;
+        }
+
+        const month = params.get('month');
+        this.filters.month = this.filters.year !== 'all' && /^(0[1-9]|1[0-2])$/.test(month) ? month : 'all';
+
+        const ranges = Array.from(this.elements.rangeSelect.options, option => option.value);
+        const range = params.get('range');
+        const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        this.filters.range = ranges.includes(range) ? range : '';
+        this.filters.from = isDay(params.get('from')) ? params.get('from') : null;
+        this.filters.to = isDay(params.get('to')) ? params.get('to') : null;
+
+        const comparisons = Array.from(this.elements.compareSelect.options, option => option.value);
+        const compare = params.get('compare');
+        this.filters.compare = comparisons.includes(compare) ? compare : '';
+        this.filters.compareFrom = isDay(params.get('compareFrom')) ? params.get('compareFrom') : null;
+        this.filters.compareTo = isDay(params.get('compareTo')) ? params.get('compareTo') : null;
+
+        const metric = params.get('metric');
+        const metrics = Object.keys(this.dataService.metrics);
+        if (this.dataService.hasDailyData()) metrics.push(...Object.keys(this.dataService.streakMetrics));
+        this.filters.metric = metrics.includes(metric) ? metric : 'pullRequests';
+
+        this.filters.hideBots = params.get('bots') !== 'show';
+        this.filters.repos = params.getAll('repo').filter(repo => repos.includes(repo));
+        this.filters.excludedUsers = params.getAll('exclude');
+
+        const team = params.get('team');
+        this.filters.team = this.dataService.getTeams().includes(team) ? team : '';
+        this.filters.trendBy = params.get('trend') === 'teams' ? 'teams' : 'users';
+
+        const user = params.get('user');
+        this.profileUser = user && this.dataService.getAllUsers().includes(user) ? user : null;
+    }
+
+    /**
+     * Updates the filter controls to match the current filters
+     */
+    syncControls() {
+        this.elements.yearSelect.value = this.filters.year;
+        this.elements.monthSelect.value = this.filters.month;
+        this.elements.rangeSelect.value = this.filters.range;
+        this.elements.rangeFrom.value = this.filters.from || '';
+        this.elements.rangeTo.value = this.filters.to || '';
+
+        // A range replaces the year and month
+        this.elements.yearSelect.disabled = this.filters.range !== '';
+        this.elements.monthSelect.disabled = this.filters.range !== '';
+        this.elements.customRange.style.display = this.filters.range === 'custom' ? '' : 'none';
+
+        this.elements.compareSelect.value = this.filters.compare;
+        this.elements.compareFrom.value = this.filters.compareFrom || '';
+        this.elements.compareTo.value = this.filters.compareTo || '';
+        this.elements.compareRange.style.display = this.filters.compare === 'custom' ? '' : 'none';
+        this.elements.hideBotsToggle.checked = this.filters.hideBots;
+        this.elements.teamSelect.value = this.filters.team;
+
+        this.elements.trendByBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.trend === this.filters.trendBy);
+        });
+
+        Array.from(this.elements.repoSelect.options).forEach(option => {
+            option.selected = this.filters.repos.length === 0
+                ? option.value === 'all'
+                : this.filters.repos.includes(option.value);
+        });
+
+        this.elements.toggleBtns.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.metric === this.filters.metric);
+        });
+
+        this.elements.scoreWeights.style.display = this.filters.metric === 'score' ? '' : 'none';
+    }
+
+    /**
+     * Renders one weight input per metric that can make up the score
+     */
+    renderScoreWeights() {
+        const weights = this.dataService.getScoreWeights();
+
+        this.elements.scoreWeightInputs.innerHTML = Object.keys(this.dataService.metrics)
+            .filter(metric => metric !== 'score')
+            .map(metric => `
+                <label class="weight">
+                    ${this.dataService.getMetricLabel(metric)}
+                    <input type="number" class="select" min="0" step="0.5" value="${weights[metric] || 0}" data-metric="${metric}">
+                </label>
+            `).join('');
     }
 
     /**
@@ -243,6 +776,181 @@ class App {
         this.render();
     }
 
+    /**
+     * Handles click on a leaderboard bar: opens the profile, or excludes the user with Shift held
+     * @param {string} username - Username that was clicked
+     * @param {MouseEvent} event - Click event
+     */
+    handleLeaderboardClick(username, event) {
+        if (event?.shiftKey) {
+            this.handleChartClick(username);
+        } else {
+            this.openProfile(username);
+        }
+    }
+
+    /**
+     * Opens the profile of a contributor
+     * @param {string} username - Username to show
+     */
+    openProfile(username) {
+        this.profileUser = username;
+        this.render();
+        window.scrollTo({ top: 0 });
+    }
+
+    /**
+     * Closes the contributor profile and goes back to the dashboard
+     */
+    closeProfile() {
+        this.profileUser = null;
+        this.render();
+    }
+
+    /**
+     * Renders the profile of the selected contributor with the current filters
+     */
+    renderProfile() {
+        const filters = this.getPeriodFilters();
+        const profile = this.dataService.getUserProfile(this.profileUser, filters);
+        if (!profile) {
+            this.closeProfile();
+            return;
+        }
+
+        const metricLabel = this.dataService.getMetricLabel(this.filters.metric);
+        const values = profile.values;
+
+        this.elements.profileHeader.innerHTML = `
+            <button class="profile-back" onclick="app.closeProfile()" aria-label="Back to the leaderboard">← Back</button>
+            <img class="profile-avatar" src="${profile.avatar}" alt="${profile.username}">
+            <div class="profile-title">
+                <h2>
+                    ${profile.username}
+                    ${profile.bot ? '<span class="user-badge" title="Automated account">bot</span>' : ''}
+                </h2>
+                <p>
+                    ${profile.rank ? `#${profile.rank} in ${metricLabel}` : `Unranked in ${metricLabel}`}
+                    • <a href="https://github.com/${profile.username}" target="_blank" rel="noopener">GitHub profile</a>
+                </p>
+                <div class="user-stats">
+                    <span class="stat-item"><span class="stat-value">${values.commits.toLocaleString()}</span> commits</span>
+                    <span class="stat-item" title="${values.pullRequestsMerged} merged, ${values.pullRequestsClosed} closed without merging, ${values.pullRequestsOpen} open">
+                        <span class="stat-value">${values.pullRequests.toLocaleString()}</span> PRs
+                    </span>
+                    <span class="stat-item"><span class="stat-value">${values.reviews.toLocaleString()}</span> reviews</span>
+                    <span class="stat-item" title="${values.issuesOpened} opened, ${values.issuesClosed} closed">
+                        <span class="stat-value">${(values.issuesOpened + values.issuesClosed).toLocaleString()}</span> issues
+                    </span>
+                </div>
+                ${this.renderStreaks(this.dataService.getStreaks(profile.username, filters))}
+            </div>
+            <span class="export-group profile-export">
+                <button class="export-btn" onclick="app.exportReportCard('png')" title="Download the report card as PNG">Report card PNG</button>
+                <button class="export-btn" onclick="app.exportReportCard('svg')" title="Download the report card as SVG">SVG</button>
+            </span>
+        `;
+
+        const achievements = this.achievements.getAchievements(profile.username);
+        this.elements.profileAchievements.innerHTML = achievements.length === 0
+            ? '<p class="profile-empty">No achievements yet.</p>'
+            : achievements.map(achievement => `
+                <li class="achievement" title="${achievement.description}">
+                    <span class="achievement-icon">${achievement.icon}</span>
+                    <span class="achievement-text"><strong>${achievement.name}</strong> · ${achievement.detail}</span>
+                    <span class="achievement-date">${achievement.date}</span>
+                </li>
+            `).join('');
+
+        this.renderContributionCalendar(filters);
+
+        this.chartManager.createProfileTrendChart(this.elements.profileTrendChart, profile.trend);
+        this.chartManager.createRankHistoryChart(this.elements.profileRankChart, profile.rankHistory, metricLabel);
+
+        this.elements.profileTopRepos.innerHTML = profile.topRepos.length === 0
+            ? '<p class="profile-empty">No activity for the selected filters.</p>'
+            : profile.topRepos.map(({ repo, value }) => `
+                <li>
+                    <span class="profile-repo">${repo}</span>
+                    <span class="stat-value">${value.toLocaleString()}</span>
+                </li>
+            `).join('');
+
+        this.elements.profileComparison.innerHTML = profile.comparison.map(({ label, value, average }) => {
+            const max = Math.max(value, average, 1);
+            return `
+                <div class="comparison-row">
+                    <span class="comparison-label">${label}</span>
+                    <div class="comparison-bars">
+                        <div class="comparison-bar user" style="width: ${value / max * 100}%" title="${profile.username}: ${value.toLocaleString()}"></div>
+                        <div class="comparison-bar average" style="width: ${average / max * 100}%" title="Team average: ${Math.round(average).toLocaleString()}"></div>
+                    </div>
+                    <span class="comparison-values">${value.toLocaleString()} / ${Math.round(average).toLocaleString()}</span>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Renders the contribution calendar of the profile, one cell per day
+     * Covers the selected range or year, or the last 365 days when all years are selected.
+     * @param {Object} filters - Filters, with the range resolved
+     */
+    renderContributionCalendar(filters) {
+        if (!this.dataService.hasDailyData()) {
+            this.elements.profileCalendar.innerHTML = `
+                <p class="profile-empty">Daily activity is not collected, set GH_DAILY=true in the fetcher to see the calendar.</p>
+            `;
+            return;
+        }
+
+        let from;
+        let to;
+        if (filters.from || filters.to) {
+            to = filters.to ? this.parseDate(filters.to) : new Date();
+            from = filters.from ? this.parseDate(filters.from) : new Date(to.getFullYear(), to.getMonth(), to.getDate() - 364);
+        } else if (this.filters.year === 'all') {
+            to = new Date();
+            from = new Date(to.getFullYear(), to.getMonth(), to.getDate() - 364);
+        } else {
+            from = new Date(Number(this.filters.year), 0, 1);
+            to = new Date(Number(this.filters.year), 11, 31);
+        }
+
+        // Streaks are shown as the active days
+        const isStreak = Boolean(this.dataService.streakMetrics[this.filters.metric]);
+        const days = isStreak
+            ? this.dataService.getActiveDays(this.profileUser, { from, to }).map(({ date, active }) => ({ date, value: active ? 1 : 0 }))
+            : this.dataService.getDailyActivity({
+                username: this.profileUser,
+                metric: this.filters.metric,
+                from,
+                to
+            });
+        const max = Math.max(...days.map(day => day.value), 0);
+        const metricLabel = isStreak ? 'active' : this.dataService.getMetricLabel(this.filters.metric);
+
+        // Weeks are columns starting on Monday, pad the first one
+        const padding = (from.getDay() + 6) % 7;
+        const cells = Array(padding).fill('<span class="calendar-day empty"></span>');
+
+        days.forEach(({ date, value }) => {
+            const level = value === 0 ? 0 : Math.ceil(value / max * 4);
+            cells.push(`<span class="calendar-day level-${level}" title="${date}: ${value.toLocaleString()} ${metricLabel}"></span>`);
+        });
+
+        this.elements.profileCalendar.innerHTML = `<div class="calendar-grid">${cells.join('')}</div>`;
+    }
+
+    /**
+     * Parses a date, 'YYYY-MM-DD' strings being read as local days
+     * @param {Date|string} value - Date or 'YYYY-MM-DD'
+     * @returns {Date} Local date
+     */
+    parseDate(value) {
+        return value instanceof Date ? value : new Date(`${value}T00:00`);
+    }
+
     /**
      * Renders excluded user chips
      */
@@ -279,8 +987,13 @@ class App {
     /**
      * Renders user cards in the grid
      * @param {Array} stats - User statistics data
+     * @param {Object|null} comparison - Comparison with another period, null when not comparing
+     * @param {Map<string, Object>|null} movements - Rank movements keyed by username
+     * @param {Object} filters - Filters, with the range resolved, for the streaks
      */
-    renderUserCards(stats) {
+    renderUserCards(stats, comparison = null, movements = null, filters = {}) {
+        const changes = new Map((comparison?.users || []).map(user => [user.username, user]));
+
         if (stats.length === 0) {
             this.elements.usersGrid.innerHTML = `
                 <div class="error-message">
@@ -298,46 +1011,291 @@ class App {
             else if (rank === 3) rankClass = 'bronze';
 
             return `
-                <div class="user-card">
-                    <button class="user-card-exclude" onclick="app.handleChartClick('${user.username}')" aria-label="Exclude ${user.username}" title="Exclude user">
+                <div class="user-card" onclick="app.openProfile('${user.username}')" title="View profile">
+                    <button class="user-card-exclude" onclick="event.stopPropagation(); app.handleChartClick('${user.username}')" aria-label="Exclude ${user.username}" title="Exclude user">
                         ×
                     </button>
                     <span class="user-rank ${rankClass}">#${rank}</span>
                     <img class="user-avatar" src="${user.avatar}" alt="${user.username}" loading="lazy">
                     <div class="user-info">
                         <div class="user-name">
-                            <a href="https://github.com/${user.username}" target="_blank" rel="noopener">
+                            <a href="https://github.com/${user.username}" target="_blank" rel="noopener" onclick="event.stopPropagation()">
                                 ${user.username}
                             </a>
+                            ${user.bot ? '<span class="user-badge" title="Automated account">bot</span>' : ''}
+                            ${movements?.has(user.username) ? this.renderMovement(movements.get(user.username)) : ''}
                         </div>
                         <div class="user-stats">
                             <span class="stat-item">
                                 <span class="stat-value">${user.commits.toLocaleString()}</span> commits
                             </span>
-                            <span class="stat-item">
+                            <span class="stat-item" title="${user.pullRequestsMerged} merged, ${user.pullRequestsClosed} closed without merging, ${user.pullRequestsOpen} open">
                                 <span class="stat-value">${user.pullRequests.toLocaleString()}</span> PRs
                             </span>
+                            <span class="stat-item" title="${user.reviewsApproved} approved, ${user.reviewsChangesRequested} changes requested, ${user.reviewsCommented} commented">
+                                <span class="stat-value">${user.reviews.toLocaleString()}</span> reviews
+                            </span>
+                            <span class="stat-item" title="${user.issuesOpened} opened, ${user.issuesClosed} closed">
+                                <span class="stat-value">${(user.issuesOpened + user.issuesClosed).toLocaleString()}</span> issues
+                            </span>
+                            ${user.linesChanged > 0 ? `
+                            <span class="stat-item" title="Lines added / deleted">
+                                <span class="stat-value lines-added">+${user.linesAdded.toLocaleString()}</span>
+                                <span class="stat-value lines-deleted">-${user.linesDeleted.toLocaleString()}</span>
+                            </span>` : ''}
                         </div>
+                        ${this.renderStreaks(this.dataService.getStreaks(user.username, filters))}
+                        ${this.renderBadges(this.achievements.getAchievements(user.username))}
+                        ${this.filters.metric === 'score' ? this.renderScoreBreakdown(user) : ''}
+                        ${changes.has(user.username) ? this.renderChange(changes.get(user.username), comparison.labels.previous) : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Renders the streaks and consistency of a contributor
+     * @param {Object|null} streaks - Streaks, as returned by getStreaks()
+     * @returns {string} HTML string, empty without daily data
+     */
+    renderStreaks(streaks) {
+        if (!streaks) return '';
+
+        const plural = (count, unit) => `${count.toLocaleString()} ${unit}${count === 1 ? '' : 's'}`;
+
+        return `
+            <div class="user-stats streaks">
+                <span class="stat-item" title="Current and longest run of active days">
+                    🔥 <span class="stat-value">${plural(streaks.currentStreak, 'day')}</span> (best ${streaks.longestStreak.toLocaleString()})
+                </span>
+                <span class="stat-item" title="Current and longest run of active weeks">
+                    <span class="stat-value">${plural(streaks.currentWeekStreak, 'week')}</span> (best ${streaks.longestWeekStreak.toLocaleString()})
+                </span>
+                <span class="stat-item" title="${plural(streaks.activeDays, 'active day')}">
+                    <span class="stat-value">${streaks.activeWeeks}/${streaks.totalWeeks}</span> active weeks (${streaks.consistency}%)
+                </span>
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the badges of a contributor, one per kind with how many times it was earned
+     * @param {Array<Object>} achievements - Achievements, latest first
+     * @returns {string} HTML string, empty without achievements
+     */
+    renderBadges(achievements) {
+        if (achievements.length === 0) return '';
+
+        const badges = new Map();
+        achievements.forEach(achievement => {
+            if (!badges.has(achievement.id)) badges.set(achievement.id, []);
+            badges.get(achievement.id).push(achievement);
+        });
+
+        return `
+            <div class="badges">
+                ${[...badges.values()].map(earned => {
+                    const [latest] = earned;
+                    const title = `${latest.name}: ${earned.map(a => `${a.detail} (${a.date})`).join(', ')}`;
+                    return `<span class="badge" title="${title}">${latest.icon}${earned.length > 1 ? `<small>×${earned.length}</small>` : ''}</span>`;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders the feed of the latest achievements
+     */
+    renderRecentAchievements() {
+        const recent = this.achievements.getRecentAchievements(8);
+
+        if (recent.length === 0) {
+            this.elements.achievementsSection.style.display = 'none';
+            return;
+        }
+
+        this.elements.achievementsSection.style.display = 'block';
+        this.elements.achievementsFeed.innerHTML = recent.map(achievement => `
+            <li class="achievement" onclick="app.openProfile('${achievement.username}')" title="${achievement.description}">
+                <span class="achievement-icon">${achievement.icon}</span>
+                <img class="achievement-avatar" src="${achievement.avatar}" alt="${achievement.username}" loading="lazy">
+                <span class="achievement-text">
+                    <strong>${achievement.username}</strong> earned <strong>${achievement.name}</strong> · ${achievement.detail}
+                </span>
+                <span class="achievement-date">${achievement.date}</span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Renders how a contributor's score is made up
+     * @param {Object} user - User statistics
+     * @returns {string} HTML string
+     */
+    renderScoreBreakdown(user) {
+        const parts = this.dataService.getScoreBreakdown(user)
+            .filter(part => part.points !== 0)
+            .map(part => `<span title="${part.value.toLocaleString()} × ${part.weight}">${part.label} ${part.points.toLocaleString()}</span>`);
+
+        return `
+            <div class="score-breakdown">
+                <span class="stat-value">${user.score.toLocaleString()}</span> pts${parts.length > 0 ? ' = ' : ''}${parts.join(' + ')}
+            </div>
+        `;
+    }
+
+    /**
+     * Renders a rank movement marker
+     * @param {Object} movement - Rank movement ({ rank, previousRank, movement })
+     * @returns {string} HTML string
+     */
+    renderMovement({ rank, previousRank, movement }) {
+        if (previousRank === null) {
+            return '<span class="rank-move new" title="New entry">new</span>';
+        }
+        if (movement === 0) {
+            return `<span class="rank-move" title="Same rank as the previous period">=</span>`;
+        }
+
+        const title = `#${previousRank} in the previous period`;
+        return movement > 0
+            ? `<span class="rank-move up" title="${title}">▲${movement}</span>`
+            : `<span class="rank-move down" title="${title}">▼${-movement}</span>`;
+    }
+
+    /**
+     * Renders the contributors who climbed the most since the previous period
+     * @param {Array} stats - User statistics data
+     * @param {Map<string, Object>|null} movements - Rank movements keyed by username
+     * @param {Object} filters - Filters, with the range resolved
+     */
+    renderClimbers(stats, movements, filters) {
+        const climbers = stats
+            .filter(user => movements?.get(user.username)?.movement > 0)
+            .sort((a, b) => movements.get(b.username).movement - movements.get(a.username).movement)
+            .slice(0, 5);
+
+        if (climbers.length === 0) {
+            this.elements.climbersSection.style.display = 'none';
+            return;
+        }
+
+        this.elements.climbersSection.style.display = 'block';
+        this.elements.climbersPeriod.textContent = `since ${this.dataService.getPeriodLabel(this.dataService.getPreviousPeriod(filters))}`;
+        this.elements.climbersList.innerHTML = climbers.map(user => {
+            const { rank, previousRank, movement } = movements.get(user.username);
+            return `
+                <div class="climber" onclick="app.openProfile('${user.username}')" title="View profile">
+                    <img class="user-avatar" src="${user.avatar}" alt="${user.username}" loading="lazy">
+                    <div class="user-info">
+                        <div class="user-name">${user.username}</div>
+                        <div class="stat-change up">▲${movement} · #${previousRank} → #${rank}</div>
                     </div>
                 </div>
             `;
         }).join('');
     }
 
+    /**
+     * Renders the change of a value against the comparison period
+     * @param {Object} change - Compared values ({ current, previous, delta, change })
+     * @param {string} period - Label of the comparison period
+     * @param {boolean} isDuration - Whether the values are durations in hours, a decrease being an improvement
+     * @returns {string} HTML string, empty when there is nothing to compare
+     */
+    renderChange({ delta, change }, period, isDuration = false) {
+        if (delta === null) return '';
+
+        const trend = delta === 0 ? 'flat' : (delta > 0) !== isDuration ? 'up' : 'down';
+        const arrow = delta === 0 ? '=' : delta > 0 ? '▲' : '▼';
+        const sign = delta > 0 ? '+' : delta < 0 ? '-' : '';
+        const amount = isDuration ? this.formatDuration(Math.abs(delta)) : Math.abs(delta).toLocaleString();
+        const percent = change === null ? 'new' : `${change >= 0 ? '+' : ''}${Math.round(change)}%`;
+
+        return `
+            <div class="stat-change ${trend}" title="Compared to ${period}">
+                ${arrow} ${sign}${amount} (${percent}) vs ${period}
+            </div>
+        `;
+    }
+
     /**
      * Updates KPI cards with animated values
+     * @param {Object} filters - Filters, with the range resolved
+     * @param {Object|null} comparison - Comparison with another period, null when not comparing
      */
-    updateKPIs() {
-        const stats = this.dataService.getAggregatedStats(this.filters);
+    updateKPIs(filters, comparison = null) {
+        const stats = this.dataService.getAggregatedStats(filters);
 
-        this.animateValue(this.elements.kpiCommits, parseInt(this.elements.kpiCommits.dataset.value || 0), stats.commits, 1000);
-        this.elements.kpiCommits.dataset.value = stats.commits;
+        this.updateKPI(this.elements.kpiCommits, stats.commits);
+        this.updateKPI(this.elements.kpiPRs, stats.pullRequests);
+        this.updateKPI(this.elements.kpiReviews, stats.reviews);
+        this.updateKPI(this.elements.kpiIssuesOpened, stats.issuesOpened);
+        this.updateKPI(this.elements.kpiIssuesClosed, stats.issuesClosed);
+        this.updateKPI(this.elements.kpiContributors, stats.contributors);
 
-        this.animateValue(this.elements.kpiPRs, parseInt(this.elements.kpiPRs.dataset.value || 0), stats.pullRequests, 1000);
-        this.elements.kpiPRs.dataset.value = stats.pullRequests;
+        this.updateDurationKPI(this.elements.kpiTimeToMerge, stats.timeToMerge);
+        this.updateDurationKPI(this.elements.kpiTimeToFirstReview, stats.timeToFirstReview);
+
+        // Team growth against the comparison period
+        const kpis = {
+            commits: this.elements.kpiCommits,
+            pullRequests: this.elements.kpiPRs,
+            reviews: this.elements.kpiReviews,
+            issuesOpened: this.elements.kpiIssuesOpened,
+            issuesClosed: this.elements.kpiIssuesClosed,
+            contributors: this.elements.kpiContributors,
+            timeToMerge: this.elements.kpiTimeToMerge,
+            timeToFirstReview: this.elements.kpiTimeToFirstReview
+        };
+
+        Object.entries(kpis).forEach(([key, element]) => {
+            if (!element) return;
+
+            element.parentElement.querySelector('.stat-change')?.remove();
+            if (comparison) {
+                const isDuration = this.dataService.durationMetrics.includes(key);
+                element.insertAdjacentHTML('afterend', this.renderChange(comparison.totals[key], comparison.labels.previous, isDuration));
+            }
+        });
+    }
+
+    /**
+     * Shows a duration on a KPI card
+     * @param {HTMLElement} element - KPI value element
+     * @param {number|null} hours - Duration in hours, null when unknown
+     */
+    updateDurationKPI(element, hours) {
+        if (!element) return;
+
+        element.textContent = hours === null ? '–' : this.formatDuration(hours);
+    }
+
+    /**
+     * Formats a duration in minutes, hours or days
+     * @param {number} hours - Duration in hours
+     * @returns {string} Formatted duration (e.g. '45 min', '3.5 h', '2.1 d')
+     */
+    formatDuration(hours) {
+        if (hours < 1) {
+            return `${Math.round(hours * 60)} min`;
+        } else if (hours < 48) {
+            return `${hours.toFixed(1)} h`;
+        }
+        return `${(hours / 24).toFixed(1)} d`;
+    }
+
+    /**
+     * Animates a KPI card from its previous value to a new one
+     * @param {HTMLElement} element - KPI value element
+     * @param {number} value - New value
+     */
+    updateKPI(element, value) {
+        if (!element) return;
 
-        this.animateValue(this.elements.kpiContributors, parseInt(this.elements.kpiContributors.dataset.value || 0), stats.contributors, 1000);
-        this.elements.kpiContributors.dataset.value = stats.contributors;
+        this.animateValue(element, parseInt(element.dataset.value || 0), value, 1000);
+        element.dataset.value = value;
     }
 
     /**
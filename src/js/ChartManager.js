@@ -7,7 +7,13 @@
 class ChartManager {
     constructor() {
         this.leaderboardChart = null;
+        this.teamChart = null;
         this.trendChart = null;
+        this.profileTrendChart = null;
+        this.rankHistoryChart = null;
+
+        // Tooltip hint of the bars of contributors
+        this.userClickHint = 'Click to view profile, Shift+click to exclude';
     }
 
     /**
@@ -41,6 +47,7 @@ class ChartManager {
             primary: style.getPropertyValue('--color-text-primary').trim() || '#f0f6fc',
             secondary: style.getPropertyValue('--color-text-secondary').trim() || '#8b949e',
             border: style.getPropertyValue('--color-border').trim() || '#30363d',
+            background: style.getPropertyValue('--color-bg-secondary').trim() || '#161b22',
             bgGlass: style.getPropertyValue('--color-bg-glass').trim() || 'rgba(22, 27, 34, 0.95)'
         };
     }
@@ -50,9 +57,10 @@ class ChartManager {
      * @param {HTMLCanvasElement} canvas - The canvas element
      * @param {Array} data - User statistics data
      * @param {string} metric - Current metric label
-     * @param {Function} onBarClick - Callback when a bar is clicked
+     * @param {Function} onBarClick - Callback when a bar is clicked, with the username and the mouse event
+     * @param {Map<string, Object>} movements - Rank movements keyed by username, shown next to the names
      */
-    createLeaderboardChart(canvas, data, metric = 'Commits', onBarClick = null) {
+    createLeaderboardChart(canvas, data, metric = 'Commits', onBarClick = null, movements = null) {
         const ctx = canvas.getContext('2d');
 
         // Destroy existing chart if any
@@ -86,7 +94,7 @@ class ChartManager {
                     if (elements.length > 0 && onBarClick) {
                         const index = elements[0].index;
                         const username = topUsers[index].username;
-                        onBarClick(username);
+                        onBarClick(username, event.native);
                     }
                 },
                 plugins: {
@@ -105,7 +113,15 @@ class ChartManager {
                         callbacks: {
                             title: (items) => items[0].label,
                             label: (item) => `${metric}: ${item.raw.toLocaleString()}`,
-                            afterLabel: () => 'Click to exclude'
+                            afterLabel: (item) => {
+                                const movement = movements?.get(topUsers[item.dataIndex].username);
+                                if (!movement) return this.userClickHint;
+
+                                const rank = movement.previousRank === null
+                                    ? 'New entry'
+                                    : `Rank: #${movement.previousRank} → #${movement.rank}`;
+                                return [rank, this.userClickHint];
+                            }
                         }
                     }
                 },
@@ -127,6 +143,11 @@ class ChartManager {
                             color: textColors.primary,
                             font: {
                                 weight: '500'
+                            },
+                            callback: (value, index) => {
+                                const username = topUsers[index].username;
+                                const movement = movements?.get(username);
+                                return movement ? `${username} ${this.formatMovement(movement)}` : username;
                             }
                         }
                     }
@@ -143,56 +164,162 @@ class ChartManager {
     }
 
     /**
-     * Creates the trend line chart
+     * Creates the team leaderboard bar chart
      * @param {HTMLCanvasElement} canvas - The canvas element
-     * @param {Object} trendData - Trend data with labels and datasets
+     * @param {Array} data - Team statistics ({ team, value, contributors })
+     * @param {string} metric - Current metric label
+     * @param {Function} onBarClick - Callback when a bar is clicked, with the team name
      */
-    createTrendChart(canvas, trendData) {
+    createTeamChart(canvas, data, metric = 'Commits', onBarClick = null) {
         const ctx = canvas.getContext('2d');
 
-        // Destroy existing chart if any
-        if (this.trendChart) {
-            this.trendChart.destroy();
+        if (this.teamChart) {
+            this.teamChart.destroy();
         }
 
-        if (!trendData) {
-            // Show placeholder message
-            this.trendChart = new Chart(ctx, {
-                type: 'line',
-                data: {
-                    labels: ['Select a specific year to view trends'],
-                    datasets: [{
-                        data: [0],
-                        borderColor: 'transparent'
-                    }]
+        const chartColors = this.getChartColors();
+        const textColors = this.getTextColors();
+
+        this.teamChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: data.map(t => t.team),
+                datasets: [{
+                    label: metric,
+                    data: data.map(t => t.value),
+                    backgroundColor: data.map((_, i) => this.getGradient(ctx, i, chartColors)),
+                    borderColor: data.map((_, i) => chartColors[i % chartColors.length]),
+                    borderWidth: 1,
+                    borderRadius: 6,
+                    borderSkipped: false
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                onClick: (event, elements) => {
+                    if (elements.length > 0 && onBarClick) {
+                        onBarClick(data[elements[0].index].team);
+                    }
                 },
-                options: {
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                        legend: { display: false }
+                plugins: {
+                    legend: {
+                        display: false
                     },
-                    scales: {
-                        x: { display: false },
-                        y: { display: false }
+                    tooltip: {
+                        backgroundColor: textColors.bgGlass,
+                        titleColor: textColors.primary,
+                        bodyColor: textColors.secondary,
+                        borderColor: textColors.border,
+                        borderWidth: 1,
+                        cornerRadius: 8,
+                        padding: 12,
+                        displayColors: false,
+                        callbacks: {
+                            title: (items) => items[0].label,
+                            label: (item) => `${metric}: ${item.raw.toLocaleString()}`,
+                            afterLabel: (item) => [
+                                `${data[item.dataIndex].contributors} active contributor(s)`,
+                                'Click to filter on this team'
+                            ]
+                        }
                     }
+                },
+                scales: {
+                    x: {
+                        grid: {
+                            color: textColors.border + '80',
+                            drawBorder: false
+                        },
+                        ticks: {
+                            color: textColors.secondary
+                        }
+                    },
+                    y: {
+                        grid: {
+                            display: false
+                        },
+                        ticks: {
+                            color: textColors.primary,
+                            font: {
+                                weight: '500'
+                            }
+                        }
+                    }
+                },
+                animation: {
+                    duration: 500,
+                    easing: 'easeOutQuart'
                 }
-            });
-            return;
+            }
+        });
+
+        canvas.style.cursor = 'pointer';
+    }
+
+    /**
+     * Formats a rank movement for the chart axis
+     * @param {Object} movement - Rank movement ({ previousRank, movement })
+     * @returns {string} Movement (e.g. '▲2', '▼1', '=', 'NEW')
+     */
+    formatMovement({ previousRank, movement }) {
+        if (previousRank === null) return 'NEW';
+        if (movement === 0) return '=';
+        return movement > 0 ? `▲${movement}` : `▼${-movement}`;
+    }
+
+    /**
+     * Creates the comparison bar chart, grouping each contributor's value in both periods
+     * Drawn on the leaderboard canvas, it replaces the leaderboard while comparing.
+     * @param {HTMLCanvasElement} canvas - The canvas element
+     * @param {Array} data - Compared users ({ username, current, previous, delta, change })
+     * @param {string} metric - Current metric label
+     * @param {Object} periods - Period labels ({ current, previous })
+     * @param {Function} onBarClick - Callback when a bar is clicked, with the username and the mouse event
+     */
+    createComparisonChart(canvas, data, metric, periods, onBarClick = null) {
+        const ctx = canvas.getContext('2d');
+
+        // Shares the leaderboard canvas
+        if (this.leaderboardChart) {
+            this.leaderboardChart.destroy();
         }
 
+        const topUsers = data.slice(0, 20);
+        const chartColors = this.getChartColors();
         const textColors = this.getTextColors();
 
-
-        this.trendChart = new Chart(ctx, {
-            type: 'line',
-            data: trendData,
+        this.leaderboardChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: topUsers.map(u => u.username),
+                datasets: [{
+                    label: periods.current,
+                    data: topUsers.map(u => u.current),
+                    backgroundColor: chartColors[0] + 'cc',
+                    borderColor: chartColors[0],
+                    borderWidth: 1,
+                    borderRadius: 6,
+                    borderSkipped: false
+                }, {
+                    label: periods.previous,
+                    data: topUsers.map(u => u.previous),
+                    backgroundColor: textColors.secondary + '66',
+                    borderColor: textColors.secondary,
+                    borderWidth: 1,
+                    borderRadius: 6,
+                    borderSkipped: false
+                }]
+            },
             options: {
+                indexAxis: 'y',
                 responsive: true,
                 maintainAspectRatio: false,
-                interaction: {
-                    mode: 'index',
-                    intersect: false
+                onClick: (event, elements) => {
+                    if (elements.length > 0 && onBarClick) {
+                        onBarClick(topUsers[elements[0].index].username, event.native);
+                    }
                 },
                 plugins: {
                     legend: {
@@ -200,21 +327,27 @@ class ChartManager {
                         labels: {
                             color: textColors.primary,
                             usePointStyle: true,
-                            pointStyle: 'circle',
-                            padding: 20,
-                            font: {
-                                size: 11
-                            }
+                            pointStyle: 'circle'
                         }
                     },
                     tooltip: {
                         backgroundColor: textColors.bgGlass,
                         titleColor: textColors.primary,
                         bodyColor: textColors.secondary,
+                        footerColor: textColors.primary,
                         borderColor: textColors.border,
                         borderWidth: 1,
                         cornerRadius: 8,
-                        padding: 12
+                        padding: 12,
+                        callbacks: {
+                            title: (items) => items[0].label,
+                            label: (item) => `${item.dataset.label}: ${item.raw.toLocaleString()} ${metric}`,
+                            footer: (items) => {
+                                const user = topUsers[items[0].dataIndex];
+                                const change = user.change === null ? 'new' : `${user.change >= 0 ? '+' : ''}${Math.round(user.change)}%`;
+                                return [`${user.delta >= 0 ? '+' : ''}${user.delta.toLocaleString()} (${change})`, this.userClickHint];
+                            }
+                        }
                     }
                 },
                 scales: {
@@ -228,13 +361,14 @@ class ChartManager {
                         }
                     },
                     y: {
-                        beginAtZero: true,
                         grid: {
-                            color: textColors.border + '80',
-                            drawBorder: false
+                            display: false
                         },
                         ticks: {
-                            color: textColors.secondary
+                            color: textColors.primary,
+                            font: {
+                                weight: '500'
+                            }
                         }
                     }
                 },
@@ -244,6 +378,190 @@ class ChartManager {
                 }
             }
         });
+
+        canvas.style.cursor = 'pointer';
+    }
+
+    /**
+     * Creates the trend line chart
+     * @param {HTMLCanvasElement} canvas - The canvas element
+     * @param {Object} trendData - Trend data with labels and datasets
+     */
+    createTrendChart(canvas, trendData) {
+        const ctx = canvas.getContext('2d');
+
+        // Destroy existing chart if any
+        if (this.trendChart) {
+            this.trendChart.destroy();
+        }
+
+        if (!trendData) {
+            // Show placeholder message
+            this.trendChart = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: ['Select a specific year to view trends'],
+                    datasets: [{
+                        data: [0],
+                        borderColor: 'transparent'
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: false }
+                    },
+                    scales: {
+                        x: { display: false },
+                        y: { display: false }
+                    }
+                }
+            });
+            return;
+        }
+
+        this.trendChart = new Chart(ctx, {
+            type: 'line',
+            data: trendData,
+            options: this.getLineChartOptions()
+        });
+    }
+
+    /**
+     * Creates the trend chart of a contributor profile, one line per metric
+     * Datasets on the 'y1' axis (lines changed) are scaled on the right.
+     * @param {HTMLCanvasElement} canvas - The canvas element
+     * @param {Object} trendData - Trend data with labels and datasets
+     */
+    createProfileTrendChart(canvas, trendData) {
+        if (this.profileTrendChart) {
+            this.profileTrendChart.destroy();
+        }
+
+        const textColors = this.getTextColors();
+        const options = this.getLineChartOptions();
+        options.scales.y1 = {
+            position: 'right',
+            beginAtZero: true,
+            display: trendData.datasets.some(dataset => dataset.yAxisID === 'y1'),
+            grid: {
+                display: false
+            },
+            ticks: {
+                color: textColors.secondary
+            }
+        };
+
+        this.profileTrendChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: trendData,
+            options
+        });
+    }
+
+    /**
+     * Creates the rank history chart of a contributor profile
+     * @param {HTMLCanvasElement} canvas - The canvas element
+     * @param {Object} rankHistory - Ranks per period ({ labels, data }), null when unranked
+     * @param {string} metric - Current metric label
+     */
+    createRankHistoryChart(canvas, rankHistory, metric = 'Commits') {
+        if (this.rankHistoryChart) {
+            this.rankHistoryChart.destroy();
+        }
+
+        const color = this.getChartColors()[0];
+        const options = this.getLineChartOptions();
+        options.plugins.legend.display = false;
+        options.plugins.tooltip.callbacks = {
+            label: (item) => `#${item.raw} in ${metric}`
+        };
+        // Rank 1 at the top
+        Object.assign(options.scales.y, { reverse: true, beginAtZero: false, min: 1 });
+        options.scales.y.ticks.precision = 0;
+
+        this.rankHistoryChart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: rankHistory.labels,
+                datasets: [{
+                    label: metric,
+                    data: rankHistory.data,
+                    borderColor: color,
+                    backgroundColor: color,
+                    tension: 0.3,
+                    fill: false
+                }]
+            },
+            options
+        });
+    }
+
+    /**
+     * Gets the options shared by line charts
+     * @returns {Object} Chart.js options
+     * @private
+     */
+    getLineChartOptions() {
+        const textColors = this.getTextColors();
+
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                legend: {
+                    position: 'top',
+                    labels: {
+                        color: textColors.primary,
+                        usePointStyle: true,
+                        pointStyle: 'circle',
+                        padding: 20,
+                        font: {
+                            size: 11
+                        }
+                    }
+                },
+                tooltip: {
+                    backgroundColor: textColors.bgGlass,
+                    titleColor: textColors.primary,
+                    bodyColor: textColors.secondary,
+                    borderColor: textColors.border,
+                    borderWidth: 1,
+                    cornerRadius: 8,
+                    padding: 12
+                }
+            },
+            scales: {
+                x: {
+                    grid: {
+                        color: textColors.border + '80',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: textColors.secondary
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    grid: {
+                        color: textColors.border + '80',
+                        drawBorder: false
+                    },
+                    ticks: {
+                        color: textColors.secondary
+                    }
+                }
+            },
+            animation: {
+                duration: 500,
+                easing: 'easeOutQuart'
+            }
+        };
     }
 
     /**
@@ -304,6 +622,18 @@ class ChartManager {
             this.trendChart.destroy();
             this.trendChart = null;
         }
+        if (this.teamChart) {
+            this.teamChart.destroy();
+            this.teamChart = null;
+        }
+        if (this.profileTrendChart) {
+            this.profileTrendChart.destroy();
+            this.profileTrendChart = null;
+        }
+        if (this.rankHistoryChart) {
+            this.rankHistoryChart.destroy();
+            this.rankHistoryChart = null;
+        }
     }
 }
 
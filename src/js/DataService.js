@@ -8,6 +8,52 @@ class DataService {
     constructor() {
         this.data = null;
         this.isLoaded = false;
+
+        // Metrics that can be ranked, with their display labels
+        this.metrics = {
+            commits: 'Commits',
+            pullRequests: 'Pull Requests',
+            pullRequestsMerged: 'Merged PRs',
+            reviews: 'Reviews',
+            issuesOpened: 'Issues Opened',
+            issuesClosed: 'Issues Closed',
+            linesChanged: 'Lines Changed',
+            score: 'Score'
+        };
+
+        // Score weights used when the site config does not set them (config/site.json)
+        this.defaultScoreWeights = { pullRequests: 5, commits: 1, reviews: 3, issuesOpened: 2, issuesClosed: 2 };
+
+        // Metrics computed from stored ones, as weights per stored metric
+        this.derivedMetrics = {
+            linesChanged: { linesAdded: 1, linesDeleted: 1 },
+            score: { ...this.defaultScoreWeights }
+        };
+
+        // Breakdown metrics reported alongside the ranked ones
+        this.detailMetrics = [
+            'pullRequestsClosed', 'pullRequestsOpen',
+            'reviewsApproved', 'reviewsChangesRequested', 'reviewsCommented',
+            'linesAdded', 'linesDeleted'
+        ];
+
+        // Durations stored as samples in hours, summarized by their median
+        this.durationMetrics = ['timeToMerge', 'timeToFirstReview'];
+
+        // Metrics a contributor counts as active on, for streaks
+        this.activityMetrics = ['commits', 'pullRequests', 'reviews', 'issuesOpened', 'issuesClosed'];
+
+        // Rankings computed from per-day activity (see getStreaks()), with their display labels
+        this.streakMetrics = {
+            longestStreak: 'Longest Streak'
+        };
+
+        // Decoded per-day counts, keyed by their encoded string
+        this.dayCache = new Map();
+
+        // Streaks keyed by user and period, for the data they were computed from (see getStreaks())
+        this.streakCache = new Map();
+        this.streakCacheData = null;
     }
 
     /**
@@ -21,6 +67,7 @@ class DataService {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             this.data = await response.json();
+            await this.loadSiteConfig();
             this.isLoaded = true;
             return this.data;
         } catch (error) {
@@ -29,6 +76,71 @@ class DataService {
         }
     }
 
+    /**
+     * Loads the optional site configuration (config/site.json)
+     * Without it, the built-in score weights are used.
+     * @returns {Promise<void>}
+     */
+    async loadSiteConfig() {
+        try {
+            const response = await fetch('config/site.json');
+            if (!response.ok) return;
+
+            const config = await response.json();
+            if (config.scoreWeights) {
+                this.setScoreWeights(config.scoreWeights);
+                this.defaultScoreWeights = this.getScoreWeights();
+            }
+        } catch (error) {
+            console.warn('Could not read config/site.json, using the default score weights:', error);
+        }
+    }
+
+    /**
+     * Gets the weights of the score metric
+     * @returns {Object} Weights keyed by metric
+     */
+    getScoreWeights() {
+        return { ...this.derivedMetrics.score };
+    }
+
+    /**
+     * Sets the weights of the score metric
+     * Unknown metrics, the score itself and zero weights are left out.
+     * @param {Object} weights - Weights keyed by metric (e.g. { pullRequests: 5, commits: 1 })
+     */
+    setScoreWeights(weights) {
+        const known = [...Object.keys(this.metrics), ...this.detailMetrics].filter(metric => metric !== 'score');
+
+        this.derivedMetrics.score = Object.fromEntries(
+            Object.entries(weights)
+                .map(([metric, weight]) => [metric, Number(weight)])
+                .filter(([metric, weight]) => known.includes(metric) && Number.isFinite(weight) && weight !== 0)
+        );
+    }
+
+    /**
+     * Restores the score weights of the site configuration
+     */
+    resetScoreWeights() {
+        this.setScoreWeights(this.defaultScoreWeights);
+    }
+
+    /**
+     * Gets how a contributor's score is made up
+     * @param {Object} user - User statistics, as returned by getUserStats()
+     * @returns {Array<Object>} One entry per weighted metric ({ metric, label, value, weight, points })
+     */
+    getScoreBreakdown(user) {
+        return Object.entries(this.derivedMetrics.score).map(([metric, weight]) => ({
+            metric,
+            label: this.getMetricLabel(metric),
+            value: user[metric] || 0,
+            weight,
+            points: weight * (user[metric] || 0)
+        }));
+    }
+
     /**
      * Gets the last updated timestamp
      * @returns {string} Formatted date string
@@ -42,6 +154,15 @@ class DataService {
         return `${dateStr} ${timeStr}`;
     }
 
+    /**
+     * Gets the display label of a metric
+     * @param {string} metric - Metric key
+     * @returns {string} Metric label
+     */
+    getMetricLabel(metric) {
+        return this.metrics[metric] || this.streakMetrics[metric] || metric;
+    }
+
     /**
      * Gets the list of tracked organizations
      * @returns {Array<string>} List of organization names
@@ -61,8 +182,9 @@ class DataService {
         const years = new Set();
 
         Object.values(this.data.users).forEach(user => {
-            Object.keys(user.commits || {}).forEach(year => years.add(year));
-            Object.keys(user.pullRequests || {}).forEach(year => years.add(year));
+            Object.keys(this.metrics).forEach(metric => {
+                Object.keys(user[metric] || {}).forEach(year => years.add(year));
+            });
         });
 
         return Array.from(years).sort().reverse();
@@ -77,20 +199,103 @@ class DataService {
         return Object.keys(this.data.users).sort();
     }
 
+    /**
+     * Gets the names of the teams
+     * @returns {Array<string>} Sorted team names, empty when no teams are set up
+     */
+    getTeams() {
+        return Object.keys(this.data?.teams || {}).sort();
+    }
+
+    /**
+     * Gets the members of a team
+     * @param {string} team - Team name
+     * @returns {Array<string>} Member usernames
+     */
+    getTeamMembers(team) {
+        return this.data?.teams?.[team] || [];
+    }
+
+    /**
+     * Gets the statistics of every team, summed over their members
+     * A contributor in several teams counts for each of them. Streaks are not summed,
+     * a team's streak is the longest of its members.
+     * @param {Object} filters - Filter options, as for getUserStats() (the team filter is ignored)
+     * @returns {Array<Object>} Teams with activity, sorted by value ({ team, value, contributors, and one total per metric })
+     */
+    getTeamStats(filters) {
+        return this.getTeams()
+            .map(team => {
+                const stats = this.getUserStats({ ...filters, team });
+                const entry = { team, value: 0, contributors: stats.length };
+
+                Object.keys(this.metrics).forEach(metric => {
+                    entry[metric] = stats.reduce((sum, user) => sum + user[metric], 0);
+                });
+                entry.value = this.streakMetrics[filters.metric]
+                    ? Math.max(0, ...stats.map(user => user.value))
+                    : stats.reduce((sum, user) => sum + user.value, 0);
+
+                return entry;
+            })
+            .filter(entry => entry.value > 0)
+            .sort((a, b) => b.value - a.value);
+    }
+
+    /**
+     * Tells whether a user is a bot
+     * Stats fetched before bots were flagged fall back to the "[bot]" login suffix.
+     * @param {string} username - GitHub login
+     * @returns {boolean} Whether the user is a bot
+     */
+    isBot(username) {
+        const userData = this.data?.users[username];
+        return userData?.bot ?? username.endsWith('[bot]');
+    }
+
+    /**
+     * Gets all repositories that have recorded activity
+     * @returns {Array<string>} List of repository full names
+     */
+    getAvailableRepos() {
+        if (!this.data) return [];
+
+        const repos = new Set();
+
+        Object.values(this.data.users).forEach(user => {
+            Object.keys(user.repos || {}).forEach(repo => repos.add(repo));
+        });
+
+        return Array.from(repos).sort();
+    }
+
     /**
      * Gets aggregated statistics for the selected period
-     * @param {Object} filters - Filter options (year, month)
-     * @returns {Object} Aggregated stats (commits, pullRequests, contributors)
+     * @param {Object} filters - Filter options (year, month, from, to, excludedUsers, hideBots, repos)
+     * @returns {Object} Aggregated stats (one total per metric, contributors,
+     *   and the median of each duration metric in hours, null without samples)
      */
     getAggregatedStats(filters) {
         const stats = this.getUserStats(filters);
+        const initial = { contributors: 0 };
+        Object.keys(this.metrics).forEach(metric => initial[metric] = 0);
         
-        return stats.reduce((acc, user) => {
-            acc.commits += user.commits;
-            acc.pullRequests += user.pullRequests;
+        const aggregated = stats.reduce((acc, user) => {
+            Object.keys(this.metrics).forEach(metric => acc[metric] += user[metric]);
             acc.contributors++;
             return acc;
-        }, { commits: 0, pullRequests: 0, contributors: 0 });
+        }, initial);
+
+        const range = this.getRange(filters.from, filters.to);
+
+        this.durationMetrics.forEach(metric => {
+            const samples = stats.flatMap(user => {
+                return this.getDurationSamples(this.data.users[user.username], metric, filters.year, filters.month, filters.repos, range);
+            });
+            aggregated[metric] = this.getMedian(samples);
+        });
+
+        return aggregated;
     }
 
     /**
@@ -98,53 +303,50 @@ class DataService {
      * @param {Object} options - Filter options
      * @param {string} options.year - Year to filter by ('all' for all years)
      * @param {string} options.month - Month to filter by ('all' for all months)
-     * @param {string} options.metric - Metric type ('commits' or 'pullRequests')
+     * @param {Date|string} options.from - First day of a custom range, replaces year and month (default: null)
+     * @param {Date|string} options.to - Last day (inclusive) of a custom range (default: null)
+     * @param {string} options.metric - Metric type (a key of this.metrics)
      * @param {Array<string>} options.excludedUsers - List of usernames to exclude (default: [])
+     * @param {boolean} options.hideBots - Whether to leave bots out (default: false)
+     * @param {Array<string>} options.repos - Repositories to count (default: [] for all)
+     * @param {string} options.team - Team to keep the members of (default: null for everyone)
      * @returns {Array<Object>} Sorted array of user statistics
      */
-    getUserStats({ year = 'all', month = 'all', metric = 'commits', excludedUsers = [] } = {}) {
+    getUserStats({ year = 'all', month = 'all', from = null, to = null, metric = 'commits', excludedUsers = [], hideBots = false, repos = [], team = null } = {}) {
         if (!this.data) return [];
 
+        const range = this.getRange(from, to);
+        const members = team ? this.getTeamMembers(team) : null;
         const results = [];
 
         for (const [username, userData] of Object.entries(this.data.users)) {
             // Skip excluded users
-            if (excludedUsers.includes(username)) {
+            if (excludedUsers.includes(username) || (hideBots && this.isBot(username))) {
                 continue;
             }
-
-            const metricData = userData[metric] || {};
-            let total = 0;
-
-            if (year === 'all') {
-                // Sum all years
-                for (const yearData of Object.values(metricData)) {
-                    if (month === 'all') {
-                        total += yearData.total || 0;
-                    } else {
-                        total += yearData.months?.[month] || 0;
-                    }
-                }
-            } else {
-                // Specific year
-                const yearData = metricData[year];
-                if (yearData) {
-                    if (month === 'all') {
-                        total = yearData.total || 0;
-                    } else {
-                        total = yearData.months?.[month] || 0;
-                    }
-                }
+            if (members && !members.includes(username)) {
+                continue;
             }
 
+            // Streaks come from per-day activity, the repository filter does not apply to them
+            const total = this.streakMetrics[metric]
+                ? this.getStreaks(username, { year, month, from, to })?.[metric] || 0
+                : this.getMetricValue(userData, metric, year, month, repos, range);
+
             if (total > 0) {
-                results.push({
+                const entry = {
                     username,
                     avatar: userData.avatar,
-                    value: total,
-                    commits: this.getMetricValue(userData, 'commits', year, month),
-                    pullRequests: this.getMetricValue(userData, 'pullRequests', year, month)
+                    bot: this.isBot(username),
+                    value: total
+                };
+
+                // Every metric is reported so cards and KPIs can show them all
+                [...Object.keys(this.metrics), ...this.detailMetrics].forEach(key => {
+                    entry[key] = this.getMetricValue(userData, key, year, month, repos, range);
                 });
+
+                results.push(entry);
             }
         }
 
@@ -152,14 +354,202 @@ class DataService {
         return results.sort((a, b) => b.value - a.value);
     }
 
+    /**
+     * Gets the value of a metric for a contributor in each month, over all repositories
+     * @param {string} username - GitHub login
+     * @param {string} metric - Metric type (a key of this.metrics, streaks aside)
+     * @returns {Map<string, number>} Values keyed by month ('YYYY-MM'), months without activity left out
+     */
+    getMonthlyValues(username, metric) {
+        const userData = this.data?.users[username];
+        const values = new Map();
+        if (!userData) return values;
+
+        const years = new Set([...Object.keys(this.metrics), ...this.detailMetrics]
+            .flatMap(key => Object.keys(userData[key] || {})));
+
+        [...years].sort().forEach(year => {
+            for (let m = 1; m <= 12; m++) {
+                const month = String(m).padStart(2, '0');
+                const value = this.getMetricValue(userData, metric, year, month);
+                if (value > 0) values.set(`${year}-${month}`, value);
+            }
+        });
+
+        return values;
+    }
+
+    /**
+     * Compares contributors between the selected period and a baseline period
+     * @param {Object} filters - Filter options, as for getUserStats(), the period being the current one
+     * @param {Object} baseline - Period to compare with ({ year, month, from, to })
+     * @returns {Object} Comparison ({ users, totals }): users active in either period sorted by their
+     *   current value ({ username, avatar, bot, current, previous, delta, change }), and for every
+     *   key of getAggregatedStats() its { current, previous, delta, change } totals;
+     *   change is a percentage, null when the baseline value is 0 or unknown
+     */
+    getComparisonStats(filters, baseline) {
+        const previousFilters = { ...filters, year: 'all', month: 'all', from: null, to: null, ...baseline };
+        const compare = (current, previous) => ({
+            current,
+            previous,
+            delta: current !== null && previous !== null ? current - previous : null,
+            change: current !== null && previous ? (current - previous) / previous * 100 : null
+        });
+
+        const currentStats = this.getUserStats(filters);
+        const previousValues = new Map(this.getUserStats(previousFilters).map(user => [user.username, user]));
+
+        const users = currentStats.map(user => {
+            const previous = previousValues.get(user.username);
+            previousValues.delete(user.username);
+            return { username: user.username, avatar: user.avatar, bot: user.bot, ...compare(user.value, previous?.value || 0) };
+        });
+
+        // Contributors only active in the baseline come last
+        previousValues.forEach(user => {
+            users.push({ username: user.username, avatar: user.avatar, bot: user.bot, ...compare(0, user.value) });
+        });
+
+        const currentTotals = this.getAggregatedStats(filters);
+        const previousTotals = this.getAggregatedStats(previousFilters);
+        const totals = {};
+        Object.keys(currentTotals).forEach(key => {
+            totals[key] = compare(currentTotals[key], previousTotals[key]);
+        });
+
+        return { users, totals };
+    }
+
+    /**
+     * Gets how each contributor's rank moved since the previous equivalent period
+     * (the month before for a month, the year before for a year, see getPreviousPeriod())
+     * @param {Object} filters - Filter options, as for getUserStats()
+     * @returns {Map<string, Object>|null} Movements keyed by username ({ rank, previousRank, movement }),
+     *   previousRank and movement being null for new entries; null for all time
+     */
+    getRankMovements(filters) {
+        const previousPeriod = this.getPreviousPeriod(filters);
+        if (!previousPeriod) return null;
+
+        const previousRanks = new Map(
+            this.getUserStats({ ...filters, ...previousPeriod }).map((user, index) => [user.username, index + 1])
+        );
+
+        const movements = new Map();
+        this.getUserStats(filters).forEach((user, index) => {
+            const rank = index + 1;
+            const previousRank = previousRanks.get(user.username) ?? null;
+            movements.set(user.username, {
+                rank,
+                previousRank,
+                movement: previousRank === null ? null : previousRank - rank
+            });
+        });
+
+        return movements;
+    }
+
+    /**
+     * Gets the period preceding the selected one
+     * A month is compared with the month before, a year with the year before,
+     * and a range with the range of the same length just before it.
+     * @param {Object} filters - Period ({ year, month, from, to })
+     * @param {string} offset - 'previous' for the period just before, 'year' for the same period a year earlier
+     * @returns {Object|null} Period ({ year, month, from, to }), null for all time
+     */
+    getPreviousPeriod({ year = 'all', month = 'all', from = null, to = null } = {}, offset = 'previous') {
+        const range = this.getRange(from, to);
+
+        if (range) {
+            let previousFrom;
+            let previousTo;
+
+            if (offset === 'year') {
+                previousFrom = new Date(range.from.getFullYear() - 1, range.from.getMonth(), range.from.getDate());
+                previousTo = new Date(range.to.getFullYear() - 1, range.to.getMonth(), range.to.getDate());
+            } else {
+                const days = Math.round((range.to - range.from) / 86400000);
+                previousTo = new Date(range.from.getFullYear(), range.from.getMonth(), range.from.getDate() - 1);
+                previousFrom = new Date(previousTo.getFullYear(), previousTo.getMonth(), previousTo.getDate() - days);
+            }
+
+            return { year: 'all', month: 'all', from: this.formatDay(previousFrom), to: this.formatDay(previousTo) };
+        }
+
+        if (year === 'all') return null;
+
+        if (month === 'all' || offset === 'year') {
+            return { year: String(Number(year) - 1), month, from: null, to: null };
+        }
+
+        const date = new Date(Number(year), Number(month) - 2, 1);
+        return {
+            year: String(date.getFullYear()),
+            month: String(date.getMonth() + 1).padStart(2, '0'),
+            from: null,
+            to: null
+        };
+    }
+
+    /**
+     * Gets a human-readable name for a period
+     * @param {Object} filters - Period ({ year, month, from, to })
+     * @returns {string} Period label (e.g. 'All time', '2025', 'Mar 2025', '2025-01-01 – 2025-03-31')
+     */
+    getPeriodLabel({ year = 'all', month = 'all', from = null, to = null } = {}) {
+        const range = this.getRange(from, to);
+        if (range) {
+            return `${this.formatDay(range.from)} – ${this.formatDay(range.to)}`;
+        }
+
+        if (year === 'all') return 'All time';
+        if (month === 'all') return year;
+
+        return new Date(Number(year), Number(month) - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+    }
+
     /**
      * Gets the value for a specific metric
+     * When repositories are given, only activity in those repositories is counted
+     * When a range is given, it replaces the year and month
      * @private
      */
-    getMetricValue(userData, metric, year, month) {
+    getMetricValue(userData, metric, year, month, repos = [], range = null) {
+        const derived = this.derivedMetrics[metric];
+        if (derived) {
+            return Object.entries(derived).reduce((sum, [source, weight]) => {
+                return sum + weight * this.getMetricValue(userData, source, year, month, repos, range);
+            }, 0);
+        }
+
+        if (repos.length > 0) {
+            return repos.reduce((sum, repo) => {
+                return sum + this.getMetricValue(userData.repos?.[repo] || {}, metric, year, month, [], range);
+            }, 0);
+        }
+
         const metricData = userData[metric] || {};
         let total = 0;
 
+        if (range) {
+            this.getRangeMonths(range).forEach(({ year: y, month: m, from, to, partial }) => {
+                const yearData = metricData[y];
+                if (!yearData) return;
+
+                // Per-day counts are only kept per user, elsewhere partly covered months count whole
+                if (partial && yearData.days) {
+                    const days = this.decodeDays(yearData.days);
+                    for (let day = this.getDayOfYear(from); day <= this.getDayOfYear(to); day++) {
+                        total += days[day] || 0;
+                    }
+                } else {
+                    total += yearData.months?.[m] || 0;
+                }
+            });
+            return total;
+        }
+
         if (year === 'all') {
             for (const yearData of Object.values(metricData)) {
                 if (month === 'all') {
@@ -182,42 +572,452 @@ class DataService {
         return total;
     }
 
+    /**
+     * Gets the duration samples of a user for the selected period
+     * @private
+     */
+    getDurationSamples(userData, metric, year = 'all', month = 'all', repos = [], range = null) {
+        if (repos.length > 0) {
+            return repos.flatMap(repo => this.getDurationSamples(userData.repos?.[repo] || {}, metric, year, month, [], range));
+        }
+
+        // Samples are kept per month, months partly in the range count whole
+        if (range) {
+            return this.getRangeMonths(range).flatMap(({ year: y, month: m }) => userData[metric]?.[y]?.months?.[m] || []);
+        }
+
+        const years = year === 'all' ? Object.values(userData[metric] || {}) : [userData[metric]?.[year] || {}];
+
+        return years.flatMap(yearData => {
+            const months = yearData.months || {};
+            return month === 'all' ? Object.values(months).flat() : months[month] || [];
+        });
+    }
+
+    /**
+     * Gets the median of a list of numbers
+     * @param {Array<number>} values - Values
+     * @returns {number|null} Median, or null for an empty list
+     */
+    getMedian(values) {
+        if (values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * Tells whether the counts of a range are approximate
+     * Without per-day counts, or when filtering by repository, months partly in the range
+     * count whole (see getMetricValue()); a range stopping at the last update is not cut.
+     * @param {Object} filters - Filter options ({ from, to, repos })
+     * @returns {boolean} Whether a month partly in the range is counted whole
+     */
+    isApproximateRange({ from = null, to = null, repos = [] } = {}) {
+        const range = this.getRange(from, to);
+        if (!range || (this.hasDailyData() && repos.length === 0)) return false;
+
+        const lastUpdated = this.parseDay(this.getLastUpdatedDay());
+        return this.getRangeMonths(range).some(({ from: first, to: last }) => {
+            const monthEnd = new Date(last.getFullYear(), last.getMonth() + 1, 0);
+            return first.getDate() > 1 || (last < monthEnd && last < lastUpdated);
+        });
+    }
+
+    /**
+     * Builds a date range from its bounds
+     * A missing bound is replaced by the start or end of the available years.
+     * @param {Date|string|null} from - First day
+     * @param {Date|string|null} to - Last day (inclusive)
+     * @returns {Object|null} Range ({ from, to } as local dates), null without bounds
+     * @private
+     */
+    getRange(from, to) {
+        if (!from && !to) return null;
+
+        const years = this.getAvailableYears();
+        const first = years[years.length - 1] || new Date().getFullYear();
+        const last = years[0] || new Date().getFullYear();
+
+        return {
+            from: from ? this.parseDay(from) : new Date(Number(first), 0, 1),
+            to: to ? this.parseDay(to) : new Date(Number(last), 11, 31)
+        };
+    }
+
+    /**
+     * Splits a range into the months it covers
+     * @returns {Array<Object>} Months ({ year, month, from, to, partial }), from and to
+     *   being the days of the month within the range
+     * @private
+     */
+    getRangeMonths(range) {
+        const months = [];
+
+        for (let start = new Date(range.from.getFullYear(), range.from.getMonth(), 1); start <= range.to; start.setMonth(start.getMonth() + 1)) {
+            const end = new Date(start.getFullYear(), start.getMonth() + 1, 0);
+            const from = start < range.from ? range.from : new Date(start);
+            const to = end > range.to ? range.to : end;
+
+            months.push({
+                year: String(start.getFullYear()),
+                month: String(start.getMonth() + 1).padStart(2, '0'),
+                from,
+                to,
+                partial: from > start || to < end
+            });
+        }
+
+        return months;
+    }
+
+    /**
+     * Tells whether the data carries per-day counts (fetched with GH_DAILY)
+     * @returns {boolean} Whether day and week queries are available
+     */
+    hasDailyData() {
+        return this.data?.settings?.daily === true;
+    }
+
+    /**
+     * Gets daily values of a metric between two dates
+     * Per-day counts are kept per user only, the repository filter does not apply.
+     * @param {Object} options - Filter options
+     * @param {string} options.username - User to get values for (default: null for all users)
+     * @param {string} options.metric - Metric type (a key of this.metrics)
+     * @param {Date|string} options.from - First day, as a date or 'YYYY-MM-DD'
+     * @param {Date|string} options.to - Last day (inclusive), as a date or 'YYYY-MM-DD'
+     * @param {Array<string>} options.excludedUsers - List of usernames to exclude (default: [])
+     * @param {boolean} options.hideBots - Whether to leave bots out (default: false)
+     * @returns {Array<Object>} One entry per day ({ date: 'YYYY-MM-DD', value })
+     */
+    getDailyActivity({ username = null, metric = 'commits', from, to, excludedUsers = [], hideBots = false } = {}) {
+        if (!this.data) return [];
+
+        const users = username
+            ? [this.data.users[username]].filter(Boolean)
+            : Object.entries(this.data.users)
+                .filter(([name]) => !excludedUsers.includes(name) && !(hideBots && this.isBot(name)))
+                .map(([, userData]) => userData);
+
+        const days = [];
+        const end = this.parseDay(to);
+
+        for (let day = this.parseDay(from); day <= end; day.setDate(day.getDate() + 1)) {
+            days.push({
+                date: this.formatDay(day),
+                value: users.reduce((sum, userData) => sum + this.getDayValue(userData, metric, day), 0)
+            });
+        }
+
+        return days;
+    }
+
+    /**
+     * Gets weekly values of a metric between two dates
+     * Weeks start on Monday, partial weeks at both ends only count the days in range.
+     * @param {Object} options - Filter options, as for getDailyActivity()
+     * @returns {Array<Object>} One entry per week ({ week: 'YYYY-MM-DD' of its Monday, value })
+     */
+    getWeeklyActivity(options = {}) {
+        const weeks = new Map();
+
+        this.getDailyActivity(options).forEach(({ date, value }) => {
+            const monday = this.parseDay(date);
+            monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+
+            const week = this.formatDay(monday);
+            weeks.set(week, (weeks.get(week) || 0) + value);
+        });
+
+        return Array.from(weeks, ([week, value]) => ({ week, value }));
+    }
+
+    /**
+     * Gets the days a contributor was active on any of the activity metrics
+     * @param {string} username - GitHub login
+     * @param {Object} options - Days to cover
+     * @param {Date|string} options.from - First day (default: first day of the available years)
+     * @param {Date|string} options.to - Last day, inclusive (default: day of the last update)
+     * @returns {Array<Object>} One entry per day ({ date: 'YYYY-MM-DD', active })
+     */
+    getActiveDays(username, { from = null, to = null } = {}) {
+        const years = this.getAvailableYears();
+        if (years.length === 0) return [];
+
+        const options = {
+            username,
+            from: from || `${years[years.length - 1]}-01-01`,
+            to: to || this.getLastUpdatedDay()
+        };
+
+        const series = this.activityMetrics.map(metric => this.getDailyActivity({ ...options, metric }));
+        return series[0].map(({ date }, index) => ({
+            date,
+            active: series.some(days => days[index].value > 0)
+        }));
+    }
+
+    /**
+     * Gets the streaks and consistency of a contributor over a period
+     * A day is active with any activity, a week with at least one active day (weeks start on Monday).
+     * Current streaks run up to the end of the period, or up to the day or week before
+     * while the last one has no activity yet. Periods stop at the last update.
+     * @param {string} username - GitHub login
+     * @param {Object} filters - Period ({ year, month, from, to }), all time by default
+     * @returns {Object|null} Streaks in days and weeks ({ currentStreak, longestStreak, currentWeekStreak,
+     *   longestWeekStreak, activeDays, activeWeeks, totalWeeks, consistency, reachedOn }), consistency being the
+     *   percentage of active weeks and reachedOn the day each streak length was first reached
+     *   (index 0 for 1 day, up to the longest streak); null without daily data
+     */
+    getStreaks(username, filters = {}) {
+        if (!this.hasDailyData()) return null;
+
+        // Cards, rankings and achievements ask for the same streaks on every render
+        if (this.streakCacheData !== this.data) {
+            this.streakCache.clear();
+            this.streakCacheData = this.data;
+        }
+
+        const bounds = this.getPeriodBounds(filters);
+        const key = bounds ? `${username}|${this.formatDay(bounds.from)}|${this.formatDay(bounds.to)}` : `${username}|`;
+        if (!this.streakCache.has(key)) {
+            this.streakCache.set(key, this.computeStreaks(username, bounds));
+        }
+
+        return this.streakCache.get(key);
+    }
+
+    /**
+     * Computes the streaks of a contributor between two days (see getStreaks())
+     * @private
+     */
+    computeStreaks(username, bounds) {
+        const days = bounds ? this.getActiveDays(username, bounds) : [];
+
+        const weeks = new Map();
+        days.forEach(({ date, active }) => {
+            const monday = this.parseDay(date);
+            monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+
+            const week = this.formatDay(monday);
+            weeks.set(week, weeks.get(week) || active);
+        });
+
+        const daily = this.getRuns(days.map(day => day.active));
+        const weekly = this.getRuns([...weeks.values()]);
+        const activeWeeks = [...weeks.values()].filter(Boolean).length;
+
+        return {
+            currentStreak: daily.current,
+            longestStreak: daily.longest,
+            currentWeekStreak: weekly.current,
+            longestWeekStreak: weekly.longest,
+            activeDays: days.filter(day => day.active).length,
+            activeWeeks,
+            totalWeeks: weeks.size,
+            consistency: weeks.size > 0 ? Math.round(activeWeeks / weeks.size * 100) : 0,
+            reachedOn: daily.reached.map(index => days[index].date)
+        };
+    }
+
+    /**
+     * Gets the current and longest runs of true values
+     * The current run may end one value early, the last day or week still being under way.
+     * reached holds, for each run length up to the longest, the index where it was first reached.
+     * @private
+     */
+    getRuns(flags) {
+        let run = 0;
+        const reached = [];
+        flags.forEach((active, index) => {
+            run = active ? run + 1 : 0;
+            if (run > reached.length) reached.push(index);
+        });
+
+        const trailing = list => {
+            let count = 0;
+            for (let i = list.length - 1; i >= 0 && list[i]; i--) count++;
+            return count;
+        };
+
+        return { current: run || trailing(flags.slice(0, -1)), longest: reached.length, reached };
+    }
+
+    /**
+     * Gets the first and last day of a period, stopping at the last update
+     * @returns {Object|null} Days ({ from, to } as local dates), null when the period is after the last update
+     * @private
+     */
+    getPeriodBounds({ year = 'all', month = 'all', from = null, to = null } = {}) {
+        let bounds = this.getRange(from, to);
+
+        if (!bounds && year === 'all') {
+            const years = this.getAvailableYears();
+            if (years.length === 0) return null;
+            bounds = { from: new Date(Number(years[years.length - 1]), 0, 1), to: new Date(Number(years[0]), 11, 31) };
+        } else if (!bounds && month === 'all') {
+            bounds = { from: new Date(Number(year), 0, 1), to: new Date(Number(year), 11, 31) };
+        } else if (!bounds) {
+            bounds = { from: new Date(Number(year), Number(month) - 1, 1), to: new Date(Number(year), Number(month), 0) };
+        }
+
+        const lastUpdated = this.parseDay(this.getLastUpdatedDay());
+        if (bounds.to > lastUpdated) bounds.to = lastUpdated;
+
+        return bounds.from <= bounds.to ? bounds : null;
+    }
+
+    /**
+     * Gets the day of the last update, today when unknown
+     * @returns {string} Day ('YYYY-MM-DD', local time)
+     */
+    getLastUpdatedDay() {
+        const lastUpdated = this.data?.lastUpdated;
+        return this.formatDay(lastUpdated ? new Date(lastUpdated) : new Date());
+    }
+
+    /**
+     * Gets the value of a metric on a given day
+     * @private
+     */
+    getDayValue(userData, metric, date) {
+        const derived = this.derivedMetrics[metric];
+        if (derived) {
+            return Object.entries(derived).reduce((sum, [source, weight]) => {
+                return sum + weight * this.getDayValue(userData, source, date);
+            }, 0);
+        }
+
+        const encoded = userData[metric]?.[date.getFullYear()]?.days;
+        if (!encoded) return 0;
+
+        return this.decodeDays(encoded)[this.getDayOfYear(date)] || 0;
+    }
+
+    /**
+     * Gets the day of the year of a local date, January 1st being 1
+     * @private
+     */
+    getDayOfYear(date) {
+        const start = Date.UTC(date.getFullYear(), 0, 1);
+        return (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - start) / 86400000 + 1;
+    }
+
+    /**
+     * Decodes per-day counts written as "<day of year>:<count>" pairs ("5:3,6,40:2")
+     * A missing count means 1.
+     * @private
+     */
+    decodeDays(encoded) {
+        if (!this.dayCache.has(encoded)) {
+            const days = {};
+            encoded.split(',').filter(Boolean).forEach(entry => {
+                const [day, count = '1'] = entry.split(':');
+                days[day] = parseInt(count, 10);
+            });
+            this.dayCache.set(encoded, days);
+        }
+        return this.dayCache.get(encoded);
+    }
+
+    /**
+     * Parses a day into a local date
+     * 'YYYY-MM-DD' strings are read as local days, not UTC midnights.
+     * @private
+     */
+    parseDay(value) {
+        if (value instanceof Date) {
+            return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+        }
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Formats a local date as 'YYYY-MM-DD'
+     * @private
+     */
+    formatDay(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
     /**
      * Gets monthly trend data for top users
      * @param {Object} options - Filter options
      * @param {string} options.year - Year to get trends for
+     * @param {Date|string} options.from - First day of a custom range, plotted per month instead of the year (default: null)
+     * @param {Date|string} options.to - Last day (inclusive) of a custom range (default: null)
      * @param {string} options.metric - Metric type
      * @param {number} options.topN - Number of top users to include
      * @param {Array<string>} options.excludedUsers - List of usernames to exclude (default: [])
+     * @param {boolean} options.hideBots - Whether to leave bots out (default: false)
+     * @param {Array<string>} options.repos - Repositories to count (default: [] for all)
+     * @param {string} options.team - Team to keep the members of (default: null for everyone)
+     * @param {boolean} options.byTeam - Whether to plot one line per team instead of per user (default: false)
      * @returns {Object} Trend data with labels and datasets
      */
-    getTrendData({ year, metric = 'commits', topN = 10, excludedUsers = [] } = {}) {
+    getTrendData({ year, from = null, to = null, metric = 'commits', topN = 10, excludedUsers = [], hideBots = false, repos = [], team = null, byTeam = false } = {}) {
         if (!this.data) return null;
 
-        // Get top users for the selected period
-        const topUsers = this.getUserStats({ year, month: 'all', metric, excludedUsers }).slice(0, topN);
+        const filters = { year, month: 'all', from, to, metric, excludedUsers, hideBots, repos };
+
+        // Get top users (or teams) for the selected period, with the users each line sums up
+        const series = byTeam
+            ? this.getTeamStats(filters).slice(0, topN).map(entry => ({
+                label: entry.team,
+                users: this.getUserStats({ ...filters, team: entry.team }).map(user => this.data.users[user.username])
+            }))
+            : this.getUserStats({ ...filters, team }).slice(0, topN).map(user => ({
+                label: user.username,
+                users: [this.data.users[user.username]]
+            }));
+
+        const { labels, periods } = this.getTrendPeriods(year, this.getRange(from, to));
+
+        const datasets = series.map(({ label, users }, index) => {
+            return {
+                label,
+                data: periods.map(p => users.reduce((sum, userData) => {
+                    return sum + this.getMetricValue(userData, metric, p.year, p.month, repos, p.range);
+                }, 0)),
+                borderColor: this.getChartColor(index),
+                backgroundColor: this.getChartColor(index, 0.2),
+                tension: 0.3,
+                fill: false
+            };
+        });
+
+        return {
+            labels,
+            datasets
+        };
+    }
+
+    /**
+     * Gets the periods a trend is plotted over
+     * All years are plotted per year, a specific year or a range per month.
+     * @private
+     */
+    getTrendPeriods(year, range = null) {
+        // Handle a range - Show the months it covers, cut to the range
+        if (range) {
+            const months = this.getRangeMonths(range);
+            return {
+                labels: months.map(m => m.from.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })),
+                periods: months.map(m => ({ year: m.year, month: m.month, range: { from: m.from, to: m.to } }))
+            };
+        }
 
         // Handle "All Years" - Show yearly trend
         if (year === 'all') {
             const years = this.getAvailableYears().sort(); // Ascending for chart
-            
-            const datasets = topUsers.map((user, index) => {
-                const userData = this.data.users[user.username];
-                const metricData = userData[metric] || {};
-                
-                return {
-                    label: user.username,
-                    data: years.map(y => metricData[y]?.total || 0),
-                    borderColor: this.getChartColor(index),
-                    backgroundColor: this.getChartColor(index, 0.2),
-                    tension: 0.3,
-                    fill: false
-                };
-            });
-            
             return {
                 labels: years,
-                datasets
+                periods: years.map(y => ({ year: y, month: 'all' }))
             };
         }
 
@@ -233,26 +1033,98 @@ class DataService {
             monthLabels = monthLabels.slice(0, currentMonthIndex + 1);
         }
 
-        const datasets = topUsers.map((user, index) => {
-            const userData = this.data.users[user.username];
-            const metricData = userData[metric]?.[year]?.months || {};
+        return {
+            labels: monthLabels,
+            periods: months.map(m => ({ year, month: m }))
+        };
+    }
+
+    /**
+     * Gets everything shown on a contributor profile
+     * The period, metric and repository filters apply as on the leaderboard.
+     * @param {string} username - GitHub login
+     * @param {Object} filters - Filter options (year, month, from, to, metric, excludedUsers, hideBots, repos)
+     * @returns {Object|null} Profile ({ username, avatar, bot, rank, values, trend, rankHistory, topRepos, comparison }),
+     *   null for an unknown user
+     */
+    getUserProfile(username, { year = 'all', month = 'all', from = null, to = null, metric = 'commits', excludedUsers = [], hideBots = false, repos = [] } = {}) {
+        const userData = this.data?.users[username];
+        if (!userData) return null;
+
+        const filters = { year, month, from, to, excludedUsers, hideBots, repos };
+        const range = this.getRange(from, to);
+        const { labels, periods } = this.getTrendPeriods(year, range);
+        const metrics = Object.keys(this.metrics);
 
-            return {
-                label: user.username,
-                data: months.map(m => metricData[m] || 0),
+        const values = {};
+        [...metrics, ...this.detailMetrics].forEach(key => {
+            values[key] = this.getMetricValue(userData, key, year, month, repos, range);
+        });
+
+        // Every metric over the period, lines on their own axis as they dwarf the other counts
+        const trend = {
+            labels,
+            datasets: metrics.map((key, index) => ({
+                label: this.getMetricLabel(key),
+                data: periods.map(p => this.getMetricValue(userData, key, p.year, p.month, repos, p.range)),
                 borderColor: this.getChartColor(index),
                 backgroundColor: this.getChartColor(index, 0.2),
+                yAxisID: key === 'linesChanged' ? 'y1' : 'y',
                 tension: 0.3,
                 fill: false
+            }))
+        };
+
+        // Unranked periods are left as gaps
+        const rankHistory = {
+            labels,
+            data: periods.map(p => this.getRank(username, {
+                ...filters, year: p.year, month: p.month, from: p.range?.from ?? null, to: p.range?.to ?? null, metric
+            }))
+        };
+
+        const topRepos = Object.keys(userData.repos || {})
+            .filter(repo => repos.length === 0 || repos.includes(repo))
+            .map(repo => ({ repo, value: this.getMetricValue(userData, metric, year, month, [repo], range) }))
+            .filter(entry => entry.value > 0)
+            .sort((a, b) => b.value - a.value)
+            .slice(0, 5);
+
+        // Averages are taken over the contributors active on each metric
+        const comparison = metrics.map(key => {
+            const stats = this.getUserStats({ ...filters, metric: key });
+            const total = stats.reduce((sum, user) => sum + user.value, 0);
+
+            return {
+                metric: key,
+                label: this.getMetricLabel(key),
+                value: values[key],
+                average: stats.length > 0 ? total / stats.length : 0
             };
         });
 
         return {
-            labels: monthLabels,
-            datasets
+            username,
+            avatar: userData.avatar,
+            bot: this.isBot(username),
+            rank: this.getRank(username, { ...filters, metric }),
+            values,
+            trend,
+            rankHistory,
+            topRepos,
+            comparison
         };
     }
 
+    /**
+     * Gets the leaderboard rank of a user
+     * @private
+     */
+    getRank(username, filters) {
+        const index = this.getUserStats(filters).findIndex(user => user.username === username);
+        return index === -1 ? null : index + 1;
+    }
+
     /**
      * Gets a chart color by index
      * @private
@@ -274,5 +1146,5 @@ class DataService {
     }
 }
 
-// Export for use in other scripts
-window.DataService = DataService;
+// Export for use in other scripts, globalThis being window in the browser (Node scripts import it too)
+globalThis.DataService = DataService;
@@ -0,0 +1,302 @@
+/**
+ * ExportService Class
+ *
+ * Exports the leaderboard and the trend series of the current view as CSV or JSON files,
+ * with the values the dashboard is showing, the charts as PNG images and contributor report
+ * cards as PNG or SVG images, drawn with the current theme.
+ */
+class ExportService {
+    /**
+     * @param {DataService} dataService - Loaded data service
+     * @param {ChartManager} chartManager - Chart manager, for the theme colors
+     */
+    constructor(dataService, chartManager) {
+        this.dataService = dataService;
+        this.chartManager = chartManager;
+
+        // Leading columns of the leaderboard export, the other keys of getUserStats() follow
+        this.statsColumns = ['rank', 'username', 'period', 'metric', 'value'];
+    }
+
+    /**
+     * Exports the contributors of the current view, in leaderboard order
+     * @param {Array<Object>} stats - Contributors, as returned by getUserStats()
+     * @param {Object} filters - Filters the stats were queried with
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportStats(stats, filters, format) {
+        const period = this.dataService.getPeriodLabel(filters);
+        const rows = stats.map((user, index) => ({
+            rank: index + 1,
+            username: user.username,
+            period,
+            metric: filters.metric,
+            ...user
+        }));
+
+        const content = format === 'json'
+            ? JSON.stringify(rows, null, 2)
+            : this.toCSV(rows, this.getColumns(rows, this.statsColumns));
+
+        this.download(content, this.getFileName('leaderboard', filters, format), format);
+    }
+
+    /**
+     * Exports the trend series of the current view
+     * The CSV has one row per period and one column per series.
+     * @param {Object} trendData - Trend data, as returned by getTrendData()
+     * @param {Object} filters - Filters the trend was queried with
+     * @param {string} format - 'csv' or 'json'
+     */
+    exportTrend(trendData, filters, format) {
+        let content;
+
+        if (format === 'json') {
+            content = JSON.stringify({
+                period: this.dataService.getPeriodLabel(filters),
+                metric: filters.metric,
+                labels: trendData.labels,
+                series: trendData.datasets.map(({ label, data }) => ({ label, data }))
+            }, null, 2);
+        } else {
+            const rows = trendData.labels.map((period, index) => {
+                const row = { period };
+                trendData.datasets.forEach(({ label, data }) => {
+                    row[label] = data[index];
+                });
+                return row;
+            });
+            content = this.toCSV(rows, ['period', ...trendData.datasets.map(dataset => dataset.label)]);
+        }
+
+        this.download(content, this.getFileName('trend', filters, format), format);
+    }
+
+    /**
+     * Exports a chart as a PNG image, with the period, metric and organizations drawn above it
+     * Charts are drawn on a canvas, an SVG export would only wrap the same bitmap.
+     * @param {Chart} chart - Chart.js instance
+     * @param {string} name - Chart name, used in the file name
+     * @param {string} title - Title drawn above the chart
+     * @param {Object} filters - Filters the chart was drawn with
+     * @returns {Promise<void>}
+     */
+    async exportChart(chart, name, title, filters) {
+        const colors = this.getColors();
+        const padding = 24;
+        const top = 88;
+        const width = chart.width + padding * 2;
+        const height = chart.height + top + padding;
+
+        const svg = this.toSVG(width, height, colors, `
+            ${this.text(padding, 40, `${title} · ${this.dataService.getMetricLabel(filters.metric)}`, colors.primary, 20, 600)}
+            ${this.text(padding, 66, this.getSubtitle(filters), colors.secondary, 14)}
+            <image x="${padding}" y="${top}" width="${chart.width}" height="${chart.height}" href="${chart.toBase64Image('image/png', 1)}"/>
+        `);
+
+        await this.downloadImage(svg, width, height, this.getFileName(name, filters, 'png'), 'png');
+    }
+
+    /**
+     * Exports the report card of a contributor: rank and numbers over the period
+     * @param {string} username - GitHub login
+     * @param {Object} filters - Filters, with the range resolved
+     * @param {string} format - 'png' or 'svg'
+     * @returns {Promise<void>}
+     */
+    async exportReportCard(username, filters, format) {
+        const profile = this.dataService.getUserProfile(username, filters);
+        if (!profile) return;
+
+        const colors = this.getColors();
+        const streaks = this.dataService.getStreaks(username, filters);
+        const values = profile.values;
+        const metricLabel = this.dataService.getMetricLabel(filters.metric);
+        const value = this.dataService.streakMetrics[filters.metric] ? streaks.longestStreak : values[filters.metric];
+        const avatar = await this.getDataUrl(profile.avatar);
+
+        const numbers = [
+            ['Commits', values.commits],
+            ['Pull Requests', values.pullRequests],
+            ['Merged PRs', values.pullRequestsMerged],
+            ['Reviews', values.reviews],
+            ['Issues', values.issuesOpened + values.issuesClosed],
+            ['Lines Changed', values.linesChanged]
+        ];
+
+        const width = 520;
+        const height = streaks ? 330 : 300;
+        const cells = numbers.map(([label, number], index) => {
+            const x = 24 + (index % 3) * 164;
+            const y = 150 + Math.floor(index / 3) * 64;
+            return `
+                ${this.text(x, y, number.toLocaleString(), colors.primary, 22, 700)}
+                ${this.text(x, y + 20, label, colors.secondary, 12)}
+            `;
+        }).join('');
+
+        const svg = this.toSVG(width, height, colors, `
+            <rect width="${width}" height="6" fill="${colors.accent}"/>
+            ${avatar ? `
+            <clipPath id="avatar"><circle cx="60" cy="62" r="36"/></clipPath>
+            <image x="24" y="26" width="72" height="72" href="${avatar}" clip-path="url(#avatar)"/>` : ''}
+            ${this.text(112, 54, username, colors.primary, 22, 700)}
+            ${this.text(112, 80, `${profile.rank ? `#${profile.rank}` : 'Unranked'} in ${metricLabel} · ${value.toLocaleString()}`, colors.accent, 15, 600)}
+            ${this.text(112, 102, this.getSubtitle(filters), colors.secondary, 13)}
+            <line x1="24" y1="120" x2="${width - 24}" y2="120" stroke="${colors.border}"/>
+            ${cells}
+            ${streaks ? this.text(24, 290, `🔥 ${streaks.currentStreak}-day streak (best ${streaks.longestStreak}) · ${streaks.activeWeeks}/${streaks.totalWeeks} active weeks`, colors.secondary, 13) : ''}
+            ${this.text(24, height - 16, `Updated ${this.dataService.getLastUpdated()}`, colors.secondary, 11)}
+        `);
+
+        await this.downloadImage(svg, width, height, this.getFileName(`report-${username}`, filters, format), format);
+    }
+
+    /**
+     * Gets the theme colors images are drawn with
+     * @private
+     */
+    getColors() {
+        const text = this.chartManager.getTextColors();
+        return { ...text, accent: this.chartManager.getChartColors()[0] };
+    }
+
+    /**
+     * Gets the organizations and the period of the view, e.g. 'acme · Mar 2025'
+     * @private
+     */
+    getSubtitle(filters) {
+        return [...this.dataService.getOrganizations(), this.dataService.getPeriodLabel(filters)].join(' · ');
+    }
+
+    /**
+     * Wraps drawn content in an SVG document with the theme background
+     * @private
+     */
+    toSVG(width, height, colors, content) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+            <rect width="${width}" height="${height}" rx="16" fill="${colors.background}"/>
+            ${content}
+        </svg>`;
+    }
+
+    /**
+     * Draws a line of text
+     * @private
+     */
+    text(x, y, content, color, size, weight = 400) {
+        return `<text x="${x}" y="${y}" fill="${color}" font-family="Inter, -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif" font-size="${size}" font-weight="${weight}">${ExportService.escapeXML(content)}</text>`;
+    }
+
+    /**
+     * Escapes text for XML content and attributes
+     * Static so that the badge and digest scripts share it.
+     * @param {*} text - Text, other values are converted to strings
+     * @returns {string} Escaped text
+     */
+    static escapeXML(text) {
+        return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    }
+
+    /**
+     * Loads an image as a data URL so it can be embedded, null when it cannot be loaded
+     * @private
+     */
+    async getDataUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) return null;
+
+            const blob = await response.blob();
+            return await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        } catch (error) {
+            console.warn('Could not load image:', url, error);
+            return null;
+        }
+    }
+
+    /**
+     * Downloads an SVG image, rasterized at twice its size for PNG
+     * @private
+     */
+    async downloadImage(svg, width, height, fileName, format) {
+        if (format === 'svg') {
+            this.download(svg, fileName, format);
+            return;
+        }
+
+        const image = new Image();
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+        await image.decode();
+
+        const scale = 2;
+        const canvas = document.createElement('canvas');
+        canvas.width = width * scale;
+        canvas.height = height * scale;
+        canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        this.download(blob, fileName, format);
+    }
+
+    /**
+     * Gets the columns of a set of rows, leading ones first
+     * @private
+     */
+    getColumns(rows, leading) {
+        const columns = new Set(leading);
+        rows.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+        return [...columns];
+    }
+
+    /**
+     * Writes rows as CSV, with a header line
+     * @private
+     */
+    toCSV(rows, columns) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [columns, ...rows.map(row => columns.map(column => row[column]))]
+            .map(values => values.map(escape).join(','))
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Builds a file name from the view (e.g. 'git-ladder-leaderboard-pullRequests-mar-2025.csv')
+     * @private
+     */
+    getFileName(name, filters, format) {
+        const period = this.dataService.getPeriodLabel(filters).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `git-ladder-${name}-${filters.metric}-${period}.${format}`;
+    }
+
+    /**
+     * Makes the browser download a file
+     * @private
+     */
+    download(content, fileName, format) {
+        const types = { json: 'application/json', csv: 'text/csv', svg: 'image/svg+xml' };
+        const blob = content instanceof Blob ? content : new Blob([content], { type: types[format] });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other scripts, globalThis being window in the browser (Node scripts import it too)
+globalThis.ExportService = ExportService;
@@ -6,6 +6,8 @@ const ASSETS_TO_CACHE = [
     './src/js/App.js',
     './src/js/ChartManager.js',
     './src/js/DataService.js',
+    './src/js/AchievementService.js',
+    './src/js/ExportService.js',
     './src/js/ThemeManager.js',
     './manifest.json',
     './images/icon-192.png',